@@ -0,0 +1,141 @@
+'use strict';
+
+const fs = require('fs');
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Writes one record per request, in NGINX "combined" format, as JSON lines
+ * or to a callback. Log files are opened for appending and can be reopened
+ * after they have been rotated.
+ * @class
+ */
+class AccessLog {
+
+  /**
+   * @constructs AccessLog
+   * @param {Object} settings
+   * @param {string|Function} settings.format - 'combined' (default), 'json' or a function receiving each record.
+   * @param {string} settings.path - Log file, stdout if not set.
+   * @param {Function} onError - Called with the error if writing the log file fails.
+   */
+  constructor(settings = {}, onError = null) {
+    this.settings = settings;
+    this.format = settings.format || 'combined';
+    this.path = settings.path || null;
+    this.onError = onError;
+    this.stream = null;
+    this.error = null;
+    this.open();
+  }
+
+  /**
+   * Opens the log file, throws if it can't be opened (e.g. missing directory)
+   */
+  open() {
+    this.error = null;
+    if (typeof this.format == 'function') {
+      return;
+    }
+    if (!this.path) {
+      this.stream = process.stdout;
+      return;
+    }
+    let fd;
+    try {
+      fd = fs.openSync(this.path, 'a');
+    } catch (e) {
+      this.error = e.message;
+      throw e;
+    }
+    let stream = this.stream = fs.createWriteStream(null, { fd: fd });
+    stream.on('error', (err) => {
+      if (this.stream !== stream) {
+        return;
+      }
+      // Records are dropped until the log is reopened
+      this.stream = null;
+      this.error = err.message;
+      stream.destroy();
+      if (this.onError) {
+        this.onError(err);
+      }
+    });
+  }
+
+  /**
+   * Writes a record
+   * @param {Object} record
+   */
+  log(record) {
+    if (typeof this.format == 'function') {
+      return this.format(record);
+    }
+    if (!this.stream) {
+      return;
+    }
+    let line = this.format == 'json' ? AccessLog.json(record) : AccessLog.combined(record);
+    this.stream.write(line + '\n');
+  }
+
+  /**
+   * Reopens the log file, e.g. after logrotate has moved it
+   */
+  reopen() {
+    this.close();
+    this.open();
+  }
+
+  /**
+   * Closes the log file
+   */
+  close() {
+    if (this.stream && this.stream !== process.stdout) {
+      this.stream.end();
+    }
+    this.stream = null;
+  }
+
+  /**
+   * Formats a record like NGINX's "combined" log format
+   * @param {Object} record
+   * @return {string}
+   */
+  static combined(record) {
+    let quote = (value) => '"' + String(value === undefined || value === null ? '-' : value).replace(/["\\]/g, '\\$&') + '"';
+    let request = record.method ? record.method + ' ' + record.url + ' HTTP/' + record.httpVersion : '';
+    return [
+      record.client || '-', '-', '-',
+      '[' + AccessLog.localTime(record.time) + ']',
+      quote(request),
+      record.status || '-',
+      record.bodyBytes,
+      quote(record.referer),
+      quote(record.userAgent)
+    ].join(' ');
+  }
+
+  /**
+   * Formats a record as a line of JSON
+   * @param {Object} record
+   * @return {string}
+   */
+  static json(record) {
+    return JSON.stringify(Object.assign({}, record, { time: record.time.toISOString() }));
+  }
+
+  /**
+   * Formats a date like NGINX's $time_local, e.g. 18/Oct/2026:19:03:50 +0000
+   * @param {Date} date
+   * @return {string}
+   */
+  static localTime(date) {
+    let pad = (n) => (n < 10 ? '0' : '') + n;
+    let offset = -date.getTimezoneOffset();
+    let zone = (offset < 0 ? '-' : '+') + pad(Math.floor(Math.abs(offset) / 60)) + pad(Math.abs(offset) % 60);
+    return pad(date.getDate()) + '/' + MONTHS[date.getMonth()] + '/' + date.getFullYear() + ':' +
+      pad(date.getHours()) + ':' + pad(date.getMinutes()) + ':' + pad(date.getSeconds()) + ' ' + zone;
+  }
+}
+
+module.exports = AccessLog;
@@ -0,0 +1,178 @@
+'use strict';
+
+const http = require('http');
+const url = require('url');
+const crypto = require('crypto');
+const xpipe = require('xpipe');
+
+const MAX_BODY = 1048576;
+
+/**
+ * HTTP/JSON interface to the management methods of a proxy, for deploy
+ * scripts and the like. Listens on its own port or unix socket; requests
+ * authenticate with "Authorization: Bearer <token>".
+ * @class
+ */
+class AdminApi {
+
+  /**
+   * @constructs AdminApi
+   * @param {Object} proxy - UpstreamProxy instance.
+   * @param {Object} settings
+   * @param {string} settings.token - Required, unless listening on a unix socket.
+   * @param {number} settings.port - Port to listen on.
+   * @param {string} settings.host - Address to listen on (default: 127.0.0.1).
+   * @param {string} settings.socket - Unix socket (or Windows pipe) to listen on instead.
+   */
+  constructor(proxy, settings = {}) {
+    if (!settings.token && !settings.socket) {
+      throw new Error('admin API needs a token');
+    }
+    this.proxy = proxy;
+    this.settings = settings;
+    this.token = settings.token ? Buffer.from(String(settings.token)) : null;
+    this.error = null;
+    this.server = http.createServer((req, res) => this._handle(req, res));
+    this.server.on('error', (err) => {
+      this.error = err.message;
+    });
+  }
+
+  /**
+   * Starts listening
+   * @return {AdminApi}
+   */
+  listen() {
+    if (this.settings.socket) {
+      this.server.listen(xpipe.eq(this.settings.socket));
+    } else {
+      this.server.listen(this.settings.port, this.settings.host || '127.0.0.1');
+    }
+    return this;
+  }
+
+  /**
+   * Stops listening
+   */
+  close() {
+    this.server.close();
+  }
+
+  _handle(req, res) {
+    let location = url.parse(req.url, true);
+    let path = location.pathname.replace(/\/+$/, '') || '/';
+    if (!this._authorized(req)) {
+      return this._send(res, 401, { status: 'ERROR', message: 'ERROR: unauthorized' }, { 'WWW-Authenticate': 'Bearer' });
+    }
+    let action = AdminApi.ROUTES[req.method + ' ' + path];
+    if (!action) {
+      let allowed = Object.keys(AdminApi.ROUTES).filter((key) => key.split(' ')[1] == path).map((key) => key.split(' ')[0]);
+      if (allowed.length) {
+        return this._send(res, 405, { status: 'ERROR', message: 'ERROR: method not allowed' }, { 'Allow': allowed.join(', ') });
+      }
+      return this._send(res, 404, { status: 'ERROR', message: 'ERROR: not found' });
+    }
+    this._readBody(req, (err, body) => {
+      if (err) {
+        return this._send(res, err.status, { status: 'ERROR', message: 'ERROR: ' + err.message });
+      }
+      Promise.resolve()
+        .then(() => action(this.proxy, body, location.query))
+        .then((result) => this._send(res, result[0], result[1]))
+        .catch((e) => this._send(res, 500, { status: 'ERROR', message: 'ERROR: ' + e.message }));
+    });
+  }
+
+  _authorized(req) {
+    if (!this.token) {
+      return true;
+    }
+    let match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+    let given = match ? Buffer.from(match[1]) : null;
+    return !!given && given.length == this.token.length && crypto.timingSafeEqual(given, this.token);
+  }
+
+  _readBody(req, callback) {
+    let chunks = [];
+    let size = 0;
+    let failed = false;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY) {
+        if (!failed) {
+          failed = true;
+          callback({ status: 413, message: 'request body too large' });
+        }
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (failed) {
+        return;
+      }
+      if (!size) {
+        return callback(null, null);
+      }
+      try {
+        callback(null, JSON.parse(Buffer.concat(chunks).toString()));
+      } catch (e) {
+        callback({ status: 400, message: 'invalid JSON: ' + e.message });
+      }
+    });
+  }
+
+  _send(res, status, json, headers = {}) {
+    let body = Buffer.from(JSON.stringify(json, null, 2) + '\n');
+    res.writeHead(status, Object.assign({
+      'Content-Type': 'application/json',
+      'Content-Length': body.length,
+      'Cache-Control': 'no-store'
+    }, headers));
+    res.end(body);
+  }
+
+  /**
+   * Maps a setter's result to a response: 'OK', { status: 'ERROR', errors } or 'ERROR: ...'
+   * @param {string|Object} result
+   * @return {Array} [status, json]
+   */
+  static result(result) {
+    if (result === 'OK') {
+      return [200, { status: 'OK' }];
+    }
+    if (typeof result == 'object') {
+      return [400, result];
+    }
+    return [500, { status: 'ERROR', message: result }];
+  }
+}
+
+/**
+ * Endpoints, 'METHOD /path' => function(proxy, body, query) returning [status, json] or a Promise of it
+ */
+AdminApi.ROUTES = {
+  'GET /status': (proxy) => [200, { status: proxy.getStatus() }],
+  'POST /start': (proxy) => AdminApi.result(proxy.start()),
+  'POST /stop': (proxy) => AdminApi.result(proxy.stop()),
+  'GET /config': (proxy) => [200, proxy.getConfig()],
+  'PUT /config': (proxy, body) => AdminApi.result(proxy.setConfig(body)),
+  'POST /config/validate': (proxy, body) => AdminApi.result(proxy.validateConfig(body)),
+  'GET /routes': (proxy) => [200, Array.from(proxy.getRoutes())],
+  'GET /listeners': (proxy) => [200, proxy.getListeners()],
+  'GET /connections': (proxy, body, query) => [200, proxy.getConnections(query.host)],
+  'DELETE /connections': (proxy, body, query) => {
+    let closed = query.host !== undefined ? proxy.disconnectClients(query.host) : proxy.disconnectAllClients();
+    return [200, { status: 'OK', closed: closed }];
+  },
+  'DELETE /cache': (proxy, body, query) => [200, { status: 'OK', purged: proxy.purgeCache(query.host, query.prefix) }],
+  'POST /drain': (proxy, body) => {
+    let options = body || {};
+    let drained = options.host !== undefined ? proxy.drain(options.host, options) : proxy.drainAll(options);
+    return drained.then((closed) => [200, { status: 'OK', closed: closed }]);
+  },
+  'GET /metrics': (proxy) => [200, proxy.getMetrics()],
+  'GET /limits': (proxy) => [200, proxy.getLimits()]
+};
+
+module.exports = AdminApi;
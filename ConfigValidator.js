@@ -0,0 +1,586 @@
+'use strict';
+
+const EndpointPool = require('./EndpointPool');
+const RouteTable = require('./RouteTable');
+
+const FORWARDED_HEADERS = ['x-forwarded-for', 'x-forwarded-proto', 'x-forwarded-host', 'x-real-ip', 'forwarded'];
+
+/**
+ * Checks a configuration (the list of apps, or { apps, listeners }) before it is applied. Every
+ * problem is reported with the JSON path of the offending value, e.g.
+ * { path: '$[1].endpoint.port', message: 'must be an integer from 1 to 65535' }
+ * @class
+ */
+class ConfigValidator {
+
+  constructor() {
+    this.errors = [];
+  }
+
+  /**
+   * Validates a configuration
+   * @param {Array|Object} config
+   * @return {Array} Errors, empty if the configuration is valid
+   */
+  static validate(config) {
+    let validator = new ConfigValidator();
+    validator.config(config, '$');
+    return validator.errors;
+  }
+
+  /**
+   * Validates the proxy-wide options
+   * @param {Object} options
+   * @return {Array} Errors, empty if the options are valid
+   */
+  static validateOptions(options) {
+    let validator = new ConfigValidator();
+    validator.options(options, '$');
+    return validator.errors;
+  }
+
+  options(options, path) {
+    if (!this.object(options, path)) {
+      return;
+    }
+    this.keys(options, path, ConfigValidator.OPTIONS);
+  }
+
+  metrics(value, path) {
+    if (!this.object(value, path)) {
+      return;
+    }
+    if (value.port === undefined) {
+      this.error(path + '.port', 'is required');
+    }
+    this.keys(value, path, {
+      port: (port, path) => this.port(port, path),
+      host: (host, path) => this.string(host, path),
+      path: (url, path) => {
+        if (typeof url != 'string' || url[0] != '/') {
+          this.error(path, 'must be a path starting with /');
+        }
+      }
+    });
+  }
+
+  admin(value, path) {
+    if (!this.object(value, path)) {
+      return;
+    }
+    if ((value.port === undefined) == (value.socket === undefined)) {
+      this.error(path, 'needs a port or a socket');
+    }
+    if (value.token === undefined && value.socket === undefined) {
+      this.error(path + '.token', 'is required, unless listening on a socket');
+    }
+    this.keys(value, path, {
+      port: (port, path) => this.port(port, path),
+      host: (host, path) => this.string(host, path),
+      socket: (socket, path) => this.string(socket, path),
+      token: (token, path) => this.string(token, path)
+    });
+  }
+
+  accessLog(value, path) {
+    if (!this.object(value, path)) {
+      return;
+    }
+    this.keys(value, path, {
+      format: (format, path) => {
+        if (typeof format != 'function') {
+          this.oneOf(format, path, ['combined', 'json']);
+        }
+      },
+      path: (file, path) => this.string(file, path)
+    });
+  }
+
+  cacheOptions(value, path) {
+    if (!this.object(value, path)) {
+      return;
+    }
+    this.keys(value, path, {
+      maxSize: (size, path) => this.number(size, path, 1),
+      maxObjectSize: (size, path) => this.number(size, path, 1),
+      dir: (dir, path) => this.string(dir, path),
+      maxDiskSize: (size, path) => this.number(size, path, 1)
+    });
+  }
+
+  config(config, path) {
+    if (config && typeof config == 'object' && !Array.isArray(config)) {
+      this.keys(config, path, {
+        apps: () => {},
+        listeners: (listeners, path) => this.listeners(listeners, path, config.apps)
+      });
+      if (config.apps === undefined) {
+        return;
+      }
+      path += '.apps';
+      config = config.apps;
+    }
+    if (!Array.isArray(config)) {
+      return this.error(path, 'must be an array of apps');
+    }
+    config.forEach((entry, i) => this.entry(entry, path + '[' + i + ']'));
+    this.duplicates(config, path);
+  }
+
+  /**
+   * Checks the listeners, each needs its own port or socket
+   * @param {Array} listeners
+   * @param {string} path
+   * @param {Array} apps - To look up the app names of listeners
+   */
+  listeners(listeners, path, apps) {
+    if (!Array.isArray(listeners)) {
+      return this.error(path, 'must be an array of listeners');
+    }
+    let names = Array.isArray(apps) ? apps.map((entry) => entry && entry.name) : [];
+    let seen = new Map();
+    listeners.forEach((listener, i) => {
+      let here = path + '[' + i + ']';
+      if (!this.object(listener, here)) {
+        return;
+      }
+      if ((listener.port === undefined) == (listener.path === undefined)) {
+        this.error(here, 'needs a port or a path');
+      }
+      this.keys(listener, here, {
+        name: (name, path) => this.string(name, path),
+        port: (port, path) => this.port(port, path),
+        host: (host, path) => this.string(host, path),
+        path: (socket, path) => this.string(socket, path),
+        ipv6Only: (value, path) => this.boolean(value, path),
+        reusePort: (value, path) => this.boolean(value, path),
+        backlog: (value, path) => this.integer(value, path),
+        protocol: (protocol, path) => this.oneOf(protocol, path, ['auto', 'http', 'tls', 'tcp']),
+        acceptProxyProtocol: (value, path) => this.boolean(value, path),
+        apps: (value, path) => {
+          if (!Array.isArray(value) || !value.length) {
+            return this.error(path, 'must be a non-empty array of app names');
+          }
+          value.forEach((name, j) => {
+            if (names.indexOf(name) == -1) {
+              this.error(path + '[' + j + ']', 'no app named ' + JSON.stringify(name));
+            }
+          });
+        }
+      });
+      let bind = listener.path !== undefined ? listener.path : (listener.host || '*') + ':' + listener.port;
+      if (seen.has(bind)) {
+        this.error(here, 'same address as ' + seen.get(bind));
+      }
+      seen.set(bind, here);
+    });
+  }
+
+  entry(entry, path) {
+    if (!this.object(entry, path)) {
+      return;
+    }
+    if (entry.hostnames === undefined && entry.tcp === undefined) {
+      this.error(path + '.hostnames', 'is required (or tcp)');
+    } else if (entry.hostnames !== undefined && entry.tcp !== undefined) {
+      this.error(path + '.tcp', 'can\'t be combined with hostnames');
+    }
+    if (entry.endpoint === undefined && entry.endpoints === undefined) {
+      this.error(path + '.endpoint', 'is required (or endpoints)');
+    } else if (entry.endpoint !== undefined && entry.endpoints !== undefined) {
+      this.error(path + '.endpoints', 'can\'t be combined with endpoint');
+    }
+    this.keys(entry, path, ConfigValidator.ENTRY);
+  }
+
+  /**
+   * Reports host names routed by more than one app without a match rule
+   * (which one would win is not obvious)
+   * @param {Array} config
+   * @param {string} path
+   */
+  duplicates(config, path) {
+    let seen = new Map();
+    config.forEach((entry, i) => {
+      if (!entry || entry.match || !Array.isArray(entry.hostnames)) {
+        return;
+      }
+      entry.hostnames.forEach((host, j) => {
+        if (typeof host != 'string' && !(host instanceof RegExp)) {
+          return;
+        }
+        let key = RouteTable.key(host);
+        let here = path + '[' + i + '].hostnames[' + j + ']';
+        if (seen.has(key)) {
+          return this.error(here, 'duplicate host name "' + key + '", already routed by ' + seen.get(key));
+        }
+        seen.set(key, here);
+      });
+    });
+  }
+
+  hostnames(value, path) {
+    if (!Array.isArray(value) || !value.length) {
+      return this.error(path, 'must be a non-empty array of host names');
+    }
+    value.forEach((host, i) => {
+      let here = path + '[' + i + ']';
+      if (host instanceof RegExp) {
+        return;
+      }
+      if (typeof host != 'string' || !host.length) {
+        return this.error(here, 'must be a host name, a pattern (~...) or a RegExp');
+      }
+      if (host[0] == '~') {
+        return this.pattern(host, here);
+      }
+      if (!/^(\*|(\*\.)?[a-z0-9_]([a-z0-9_.-]*[a-z0-9_])?|\[[0-9a-f:.]+\])$/i.test(host)) {
+        this.error(here, 'is not a valid host name: "' + host + '"');
+      }
+    });
+  }
+
+  endpoint(value, path) {
+    if (!this.object(value, path)) {
+      return;
+    }
+    if (value.path === undefined && value.port === undefined) {
+      this.error(path, 'needs a port (with an optional host) or a path');
+    } else if (value.path !== undefined && (value.port !== undefined || value.host !== undefined)) {
+      this.error(path, 'can\'t have both a path and a host/port');
+    }
+    this.keys(value, path, {
+      host: (host, path) => this.string(host, path),
+      port: (port, path) => this.port(port, path),
+      path: (socket, path) => this.string(socket, path)
+    });
+  }
+
+  endpoints(value, path) {
+    if (!Array.isArray(value) || !value.length) {
+      return this.error(path, 'must be a non-empty array of endpoints');
+    }
+    value.forEach((endpoint, i) => this.endpoint(endpoint, path + '[' + i + ']'));
+  }
+
+  fallback(value, path) {
+    if (!Array.isArray(value)) {
+      return this.error(path, 'must be an array of endpoints');
+    }
+    value.forEach((endpoint, i) => this.endpoint(endpoint, path + '[' + i + ']'));
+  }
+
+  healthCheck(value, path) {
+    if (!this.object(value, path)) {
+      return;
+    }
+    this.keys(value, path, {
+      type: (type, path) => this.oneOf(type, path, ['tcp', 'http']),
+      path: (url, path) => {
+        if (typeof url != 'string' || url[0] != '/') {
+          this.error(path, 'must be a path starting with /');
+        }
+      },
+      host: (host, path) => this.string(host, path),
+      interval: (ms, path) => this.number(ms, path, 1),
+      timeout: (ms, path) => this.number(ms, path, 1)
+    });
+  }
+
+  match(value, path) {
+    if (!this.object(value, path)) {
+      return;
+    }
+    this.keys(value, path, {
+      path: (url, path) => this.condition(url, path),
+      methods: (methods, path) => {
+        if (typeof methods == 'string') {
+          return;
+        }
+        if (!Array.isArray(methods) || !methods.length || methods.some((method) => typeof method != 'string')) {
+          this.error(path, 'must be a method or a non-empty array of methods');
+        }
+      },
+      headers: (headers, path) => {
+        if (!this.object(headers, path)) {
+          return;
+        }
+        for (let name of Object.keys(headers)) {
+          if (headers[name] !== true) {
+            this.condition(headers[name], path + '[' + JSON.stringify(name) + ']');
+          }
+        }
+      }
+    });
+  }
+
+  tls(value, path) {
+    if (!this.object(value, path)) {
+      return;
+    }
+    if (value.dir !== undefined) {
+      this.string(value.dir, path + '.dir');
+    } else if (value.cert === undefined || value.key === undefined) {
+      this.error(path, 'needs cert and key, or dir');
+    }
+    for (let key of ['cert', 'key']) {
+      let data = value[key];
+      if (data !== undefined && typeof data != 'string' && !Buffer.isBuffer(data)) {
+        this.error(path + '.' + key, 'must be PEM data or a file name');
+      }
+    }
+  }
+
+  tcp(value, path) {
+    if (!this.object(value, path)) {
+      return;
+    }
+    if (value.ports === undefined && value.match === undefined) {
+      this.error(path, 'needs ports and/or match');
+    }
+    this.keys(value, path, {
+      ports: (ports, path) => {
+        if (!Array.isArray(ports) || !ports.length) {
+          return this.error(path, 'must be a non-empty array of ports');
+        }
+        ports.forEach((port, i) => this.port(port, path + '[' + i + ']'));
+      },
+      match: (match, path) => {
+        if (match === '') {
+          return this.error(path, 'must not be empty');
+        }
+        this.condition(match, path);
+      }
+    });
+  }
+
+  forwardedHeaders(value, path) {
+    if (!this.object(value, path)) {
+      return;
+    }
+    for (let name of Object.keys(value)) {
+      let here = path + '[' + JSON.stringify(name) + ']';
+      if (FORWARDED_HEADERS.indexOf(name) == -1) {
+        this.error(here, 'unknown header, supported are ' + FORWARDED_HEADERS.join(', '));
+      } else if ([true, false, 'append', 'replace'].indexOf(value[name]) == -1) {
+        this.error(here, 'must be \'append\', \'replace\', true or false');
+      }
+    }
+  }
+
+  errorPages(value, path) {
+    if (!this.object(value, path)) {
+      return;
+    }
+    for (let status of Object.keys(value)) {
+      let here = path + '[' + JSON.stringify(status) + ']';
+      let page = value[status];
+      if (!/^[1-5][0-9][0-9]$/.test(status)) {
+        this.error(here, 'must be an HTTP status code');
+      } else if (page && typeof page == 'object' && !Buffer.isBuffer(page)) {
+        this.keys(page, here, {
+          headers: (headers, path) => this.object(headers, path),
+          body: () => {}
+        });
+      } else if (typeof page != 'string' && typeof page != 'function' && !Buffer.isBuffer(page)) {
+        this.error(here, 'must be a string, a response object or a function');
+      }
+    }
+  }
+
+  mirror(value, path) {
+    let targets = Array.isArray(value) ? value : [value];
+    targets.forEach((target, i) => {
+      let here = Array.isArray(value) ? path + '[' + i + ']' : path;
+      if (!this.object(target, here)) {
+        return;
+      }
+      if (target.endpoint === undefined) {
+        this.error(here + '.endpoint', 'is required');
+      }
+      this.keys(target, here, {
+        endpoint: (endpoint, path) => this.endpoint(endpoint, path),
+        percent: (percent, path) => {
+          if (typeof percent != 'number' || !(percent >= 0 && percent <= 100)) {
+            this.error(path, 'must be a number from 0 to 100');
+          }
+        },
+        timeout: (timeout, path) => this.number(timeout, path)
+      });
+    });
+  }
+
+  cache(value, path) {
+    if (typeof value == 'boolean' || !this.object(value, path)) {
+      return;
+    }
+    this.keys(value, path, {
+      ttl: (ttl, path) => this.number(ttl, path),
+      staleWhileRevalidate: (stale, path) => this.number(stale, path)
+    });
+  }
+
+  rateLimit(value, path) {
+    if (!this.object(value, path)) {
+      return;
+    }
+    if (value.rate === undefined) {
+      this.error(path + '.rate', 'is required');
+    }
+    this.keys(value, path, {
+      rate: (rate, path) => this.number(rate, path, Number.MIN_VALUE),
+      burst: (burst, path) => this.number(burst, path, 1),
+      key: (key, path) => {
+        if (typeof key != 'function' && ['ip', 'host'].indexOf(key) == -1 && !/^header:.+/.test(key)) {
+          this.error(path, 'must be \'ip\', \'host\', \'header:<name>\' or a function');
+        }
+      }
+    });
+  }
+
+  /**
+   * Checks the keys of an object, unknown ones are errors
+   * @param {Object} value
+   * @param {string} path
+   * @param {Object} checks - key => function(value, path)
+   */
+  keys(value, path, checks) {
+    for (let key of Object.keys(value)) {
+      let here = path + '.' + key;
+      if (!checks.hasOwnProperty(key)) {
+        this.error(here, 'unknown key');
+      } else if (value[key] !== undefined) {
+        checks[key](value[key], here, this);
+      }
+    }
+  }
+
+  object(value, path) {
+    if (!value || typeof value != 'object' || Array.isArray(value)) {
+      this.error(path, 'must be an object');
+      return false;
+    }
+    return true;
+  }
+
+  string(value, path) {
+    if (typeof value != 'string' || !value.length) {
+      this.error(path, 'must be a non-empty string');
+    }
+  }
+
+  number(value, path, min = 0) {
+    if (typeof value != 'number' || !isFinite(value) || value < min) {
+      this.error(path, 'must be a number' + (min > 0 ? ' greater than 0' : ' of at least 0'));
+    }
+  }
+
+  boolean(value, path) {
+    if (typeof value != 'boolean') {
+      this.error(path, 'must be true or false');
+    }
+  }
+
+  integer(value, path) {
+    if (!Number.isInteger(value) || value < 0) {
+      this.error(path, 'must be an integer of at least 0');
+    }
+  }
+
+  port(value, path) {
+    if (!Number.isInteger(value) || value < 1 || value > 65535) {
+      this.error(path, 'must be an integer from 1 to 65535');
+    }
+  }
+
+  oneOf(value, path, values) {
+    if (values.indexOf(value) == -1) {
+      this.error(path, 'must be one of ' + values.map((item) => JSON.stringify(item)).join(', '));
+    }
+  }
+
+  condition(value, path) {
+    if (value instanceof RegExp) {
+      return;
+    }
+    if (typeof value != 'string') {
+      return this.error(path, 'must be a string, a pattern (~...) or a RegExp');
+    }
+    if (value[0] == '~') {
+      this.pattern(value, path);
+    }
+  }
+
+  pattern(value, path) {
+    try {
+      new RegExp(value.slice(1));
+    } catch (e) {
+      this.error(path, 'is not a valid regular expression: ' + e.message);
+    }
+  }
+
+  error(path, message) {
+    this.errors.push({ path: path, message: message });
+  }
+}
+
+/**
+ * Checks of the keys of an app entry
+ */
+ConfigValidator.ENTRY = {
+  name: (value, path, validator) => validator.string(value, path),
+  hostnames: (value, path, validator) => validator.hostnames(value, path),
+  endpoint: (value, path, validator) => validator.endpoint(value, path),
+  endpoints: (value, path, validator) => validator.endpoints(value, path),
+  balance: (value, path, validator) => validator.oneOf(value, path, EndpointPool.STRATEGIES),
+  cooldown: (value, path, validator) => validator.number(value, path),
+  healthCheck: (value, path, validator) => validator.healthCheck(value, path),
+  connectTimeout: (value, path, validator) => validator.number(value, path),
+  retries: (value, path, validator) => validator.integer(value, path),
+  retryDelay: (value, path, validator) => validator.number(value, path),
+  fallback: (value, path, validator) => validator.fallback(value, path),
+  match: (value, path, validator) => validator.match(value, path),
+  stripPrefix: (value, path, validator) => validator.boolean(value, path),
+  tls: (value, path, validator) => validator.tls(value, path),
+  tcp: (value, path, validator) => validator.tcp(value, path),
+  forwardedHeaders: (value, path, validator) => validator.forwardedHeaders(value, path),
+  proxyProtocol: (value, path, validator) => validator.oneOf(value, path, [1, 2]),
+  backendProtocol: (value, path, validator) => validator.oneOf(value, path, ['http/1.1', 'h2c']),
+  errorPages: (value, path, validator) => validator.errorPages(value, path),
+  idleTimeout: (value, path, validator) => validator.number(value, path),
+  requestTimeout: (value, path, validator) => validator.number(value, path),
+  maxConnections: (value, path, validator) => validator.integer(value, path),
+  queueSize: (value, path, validator) => validator.integer(value, path),
+  queueTimeout: (value, path, validator) => validator.number(value, path),
+  rateLimit: (value, path, validator) => validator.rateLimit(value, path),
+  cache: (value, path, validator) => validator.cache(value, path),
+  mirror: (value, path, validator) => validator.mirror(value, path)
+};
+
+/**
+ * Checks of the proxy-wide options, the listeners and files they open can
+ * be turned off with null
+ */
+ConfigValidator.OPTIONS = {
+  acceptProxyProtocol: (value, path, validator) => validator.boolean(value, path),
+  forwardedHeaders: (value, path, validator) => validator.forwardedHeaders(value, path),
+  errorPages: (value, path, validator) => validator.errorPages(value, path),
+  headerTimeout: (value, path, validator) => validator.number(value, path),
+  idleTimeout: (value, path, validator) => validator.number(value, path),
+  requestTimeout: (value, path, validator) => validator.number(value, path),
+  connectTimeout: (value, path, validator) => validator.number(value, path),
+  maxHeaderSize: (value, path, validator) => validator.integer(value, path),
+  maxConnectionsPerIp: (value, path, validator) => validator.integer(value, path),
+  http2: (value, path, validator) => {
+    if (typeof value != 'boolean') {
+      validator.object(value, path);
+    }
+  },
+  metrics: (value, path, validator) => value === null || validator.metrics(value, path),
+  admin: (value, path, validator) => value === null || validator.admin(value, path),
+  accessLog: (value, path, validator) => value === null || validator.accessLog(value, path),
+  rateLimit: (value, path, validator) => value === null || validator.rateLimit(value, path),
+  cache: (value, path, validator) => value === null || validator.cacheOptions(value, path)
+};
+
+module.exports = ConfigValidator;
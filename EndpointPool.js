@@ -0,0 +1,233 @@
+'use strict';
+
+const net = require('net');
+const http = require('http');
+
+const STRATEGIES = ['round-robin', 'least-connections', 'ip-hash'];
+
+/**
+ * A group of interchangeable endpoints serving one app, with load balancing,
+ * active health checks and passive ejection of failing members.
+ * @class
+ */
+class EndpointPool {
+
+  /**
+   * @constructs EndpointPool
+   * @param {Array} endpoints - List of { host, port } or { path } objects.
+   * @param {Object} options
+   * @param {string} options.balance - 'round-robin' (default), 'least-connections' or 'ip-hash'.
+   * @param {number} options.cooldown - Milliseconds a member stays ejected after a failed connect.
+   * @param {Object} options.healthCheck - { type: 'tcp'|'http', interval, timeout, path, host }.
+   * @param {number} options.connectTimeout - Milliseconds to wait for a backend connect.
+   * @param {number} options.retries - Additional connect attempts before giving up.
+   * @param {number} options.retryDelay - Milliseconds before the first retry, doubled on each one.
+   * @param {Array} options.fallback - Endpoints used once no member is available.
+   */
+  constructor(endpoints, options = {}) {
+    this.balance = STRATEGIES.indexOf(options.balance) != -1 ? options.balance : 'round-robin';
+    this.cooldown = options.cooldown || 10000;
+    this.healthCheck = options.healthCheck || null;
+    this.connectTimeout = options.connectTimeout || 0;
+    this.retries = options.retries || 0;
+    this.retryDelay = options.retryDelay || 100;
+    this.next = 0;
+    this.timer = null;
+    this.members = endpoints.map(EndpointPool.member);
+    this.fallbacks = (options.fallback || []).map(EndpointPool.member);
+
+    if (this.healthCheck) {
+      let interval = this.healthCheck.interval || 5000;
+      this.timer = setInterval(() => this.check(), interval);
+      this.timer.unref();
+      this.check();
+    }
+  }
+
+  /**
+   * Picks a member for a new backend connection
+   * @param {string} clientAddress - Used by 'ip-hash'
+   * @param {Array} exclude - Members not to pick
+   * @return {Object|null}
+   */
+  select(clientAddress, exclude = []) {
+    let now = Date.now();
+    let available = (member) => {
+      return member.healthy && member.downUntil <= now && exclude.indexOf(member) == -1;
+    };
+    let candidates = this.members.filter(available);
+    if (!candidates.length) {
+      return this.fallbacks.filter(available)[0] || null;
+    }
+
+    if (this.balance == 'least-connections') {
+      return candidates.reduce((best, member) => member.connections < best.connections ? member : best);
+    }
+
+    if (this.balance == 'ip-hash') {
+      // Hash over all members so that clients keep their member while it is up
+      let start = EndpointPool.hash(clientAddress || '') % this.members.length;
+      for (let i = 0; i < this.members.length; i++) {
+        let member = this.members[(start + i) % this.members.length];
+        if (candidates.indexOf(member) != -1) {
+          return member;
+        }
+      }
+    }
+
+    let member = candidates[this.next % candidates.length];
+    this.next = (this.next + 1) % this.members.length;
+    return member;
+  }
+
+  /**
+   * Counts a connection opened to a member
+   * @param {Object} member
+   */
+  acquire(member) {
+    member.connections++;
+    member.failures = 0;
+  }
+
+  /**
+   * Counts a connection to a member as closed
+   * @param {Object} member
+   */
+  release(member) {
+    member.connections = Math.max(0, member.connections - 1);
+  }
+
+  /**
+   * Takes a member out of rotation for the cooldown period (passive ejection)
+   * @param {Object} member
+   */
+  eject(member) {
+    member.failures++;
+    // Like NGINX, a lone member is never taken out, there is nothing else to use
+    if (this.members.length + this.fallbacks.length > 1) {
+      member.downUntil = Date.now() + this.cooldown;
+    }
+  }
+
+  /**
+   * Runs the active health check against all members
+   */
+  check() {
+    for (let member of this.members.concat(this.fallbacks)) {
+      this._probe(member.endpoint, (ok) => {
+        member.healthy = ok;
+        if (ok) {
+          member.downUntil = 0;
+        }
+      });
+    }
+  }
+
+  _probe(endpoint, callback) {
+    let timeout = this.healthCheck.timeout || 2000;
+    let done = false;
+    let finish = (ok) => {
+      if (!done) {
+        done = true;
+        callback(ok);
+      }
+    };
+
+    if (this.healthCheck.type == 'http') {
+      let req = http.get({
+        host: endpoint.host,
+        port: endpoint.port,
+        socketPath: endpoint.path,
+        path: this.healthCheck.path || '/',
+        headers: { host: this.healthCheck.host || endpoint.host || 'localhost', connection: 'close' },
+        agent: false
+      }, (res) => {
+        res.resume();
+        finish(res.statusCode >= 200 && res.statusCode < 400);
+      });
+      req.setTimeout(timeout, () => req.abort());
+      req.on('error', () => finish(false));
+      return;
+    }
+
+    let socket = net.connect(endpoint, () => {
+      socket.destroy();
+      finish(true);
+    });
+    socket.setTimeout(timeout, () => socket.destroy());
+    socket.on('error', () => finish(false));
+    socket.on('close', () => finish(false));
+  }
+
+  /**
+   * Stops health checks
+   */
+  close() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Reports members and their health, used by getRoutes()
+   * @return {Object}
+   */
+  toJSON() {
+    let now = Date.now();
+    let report = (member) => Object.assign({}, member.endpoint, {
+      healthy: member.healthy && member.downUntil <= now,
+      connections: member.connections,
+      failures: member.failures
+    });
+    let json = {
+      balance: this.balance,
+      endpoints: this.members.map(report)
+    };
+    if (this.fallbacks.length) {
+      json.fallback = this.fallbacks.map(report);
+    }
+    return json;
+  }
+
+  /**
+   * Creates the state record of a pool member
+   * @param {Object} endpoint
+   * @return {Object}
+   */
+  static member(endpoint) {
+    return {
+      endpoint: endpoint,
+      healthy: true,
+      downUntil: 0,
+      connections: 0,
+      failures: 0
+    };
+  }
+
+  /**
+   * FNV-1a hash of a string
+   * @param {string} str
+   * @return {number}
+   */
+  static hash(str) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+      h ^= str.charCodeAt(i);
+      h = Math.imul(h, 0x01000193) >>> 0;
+    }
+    return h;
+  }
+}
+
+/**
+ * Config entry keys handled by EndpointPool
+ */
+EndpointPool.OPTIONS = ['balance', 'cooldown', 'healthCheck', 'connectTimeout', 'retries', 'retryDelay', 'fallback'];
+
+/**
+ * Load balancing strategies
+ */
+EndpointPool.STRATEGIES = STRATEGIES;
+
+module.exports = EndpointPool;
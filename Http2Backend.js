@@ -0,0 +1,170 @@
+'use strict';
+
+const stream = require('stream');
+const http = require('http');
+const http2 = require('http2');
+const HttpHeaders = require('./HttpHeaders');
+const HttpMessageParser = require('./HttpMessageParser');
+const MessageBody = require('./MessageBody');
+
+/**
+ * Speaks HTTP/2 (h2c, prior knowledge) to a backend on behalf of a link:
+ * the HTTP/1.1 requests written to it are sent as streams of one session,
+ * the responses are read back as HTTP/1.1, in request order.
+ * @class
+ */
+class Http2Backend extends stream.Duplex {
+
+  /**
+   * @constructs Http2Backend
+   * @param {Object} socket - Connected backend socket
+   */
+  constructor(socket) {
+    super();
+    this.socket = socket;
+    this.session = http2.connect('http://localhost', { createConnection: () => socket });
+    this.parser = new HttpMessageParser('request');
+    this.requests = [];
+    this.request = null;
+    this.congested = false;
+
+    this.session.on('error', () => this.destroy());
+    this.session.on('close', () => this.destroy());
+
+    this.parser.on('headers', (message) => this._sendRequest(message));
+    this.parser.on('body', (chunk, offset, length) => {
+      if (!this.request.write(chunk.slice(offset, offset + length))) {
+        this.congested = true;
+      }
+    });
+    this.parser.on('complete', () => this.request.end());
+  }
+
+  _sendRequest(message) {
+    let headers = message.headerList.toHttp2();
+    headers[':method'] = message.method;
+    if (message.headers.host !== undefined) {
+      headers[':authority'] = message.headers.host;
+    }
+    if (message.method != 'CONNECT') {
+      headers[':path'] = message.url;
+    }
+    let request = this.request = this.session.request(headers, { endStream: !MessageBody.hasBody(message) });
+    let entry = { stream: request, output: [], chunked: false, done: false };
+    this.requests.push(entry);
+
+    request.on('response', (headers) => this._output(entry, this._responseHead(entry, headers, message.method)));
+    request.on('data', (chunk) => {
+      if (entry.chunked && chunk.length) {
+        chunk = Buffer.concat([Buffer.from(chunk.length.toString(16) + '\r\n'), chunk, Buffer.from('\r\n')]);
+      }
+      this._output(entry, chunk);
+    });
+    request.on('trailers', (trailers) => entry.trailers = trailers);
+    request.on('end', () => {
+      if (entry.chunked) {
+        let trailers = entry.trailers ? HttpHeaders.from(entry.trailers).lines() : [];
+        this._output(entry, Buffer.from(['0'].concat(trailers).join('\r\n') + '\r\n\r\n'));
+      }
+      entry.done = true;
+      this._flush();
+    });
+    request.on('error', () => this.destroy());
+    request.on('close', () => {
+      // Reset by the backend before the response was complete
+      if (!entry.done) {
+        this.destroy();
+      }
+    });
+  }
+
+  /**
+   * Serializes an HTTP/2 response head as HTTP/1.1, a body without
+   * Content-Length is sent chunked
+   * @param {Object} entry
+   * @param {Object} headers
+   * @param {string} method - Request method
+   * @return {Buffer}
+   */
+  _responseHead(entry, headers, method) {
+    let status = headers[':status'];
+    let fields = new HttpHeaders();
+    for (let name of Object.keys(headers)) {
+      if (name[0] != ':') {
+        fields.append(name, headers[name]);
+      }
+    }
+    let hasBody = method != 'HEAD' && status != 204 && status != 304;
+    if (hasBody && !fields.has('content-length')) {
+      entry.chunked = true;
+      fields.set('transfer-encoding', 'chunked');
+    }
+    let lines = ['HTTP/1.1 ' + status + ' ' + (http.STATUS_CODES[status] || 'Unknown')].concat(fields.lines());
+    return Buffer.from(lines.join('\r\n') + '\r\n\r\n');
+  }
+
+  /**
+   * Passes response data on if its request is the oldest one pending,
+   * otherwise buffers it
+   * @param {Object} entry
+   * @param {Buffer} data
+   */
+  _output(entry, data) {
+    if (this.requests[0] !== entry) {
+      entry.output.push(data);
+      return entry.stream.pause();
+    }
+    if (!this.push(data)) {
+      entry.stream.pause();
+    }
+  }
+
+  _flush() {
+    while (this.requests.length && this.requests[0].done) {
+      this.requests.shift();
+      let next = this.requests[0];
+      if (next) {
+        let output = next.output;
+        next.output = [];
+        for (let data of output) {
+          this.push(data);
+        }
+        next.stream.resume();
+      }
+    }
+  }
+
+  _read() {
+    if (this.requests.length) {
+      this.requests[0].stream.resume();
+    }
+  }
+
+  _write(chunk, encoding, callback) {
+    let ret = this.parser.execute(chunk, 0, chunk.length);
+    if (ret instanceof Error) {
+      this.destroy();
+      return callback();
+    }
+    if (!this.congested) {
+      return callback();
+    }
+    this.request.once('drain', () => {
+      this.congested = false;
+      callback();
+    });
+  }
+
+  _final(callback) {
+    this.session.close();
+    callback();
+  }
+
+  _destroy(err, callback) {
+    this.session.destroy();
+    this.socket.destroy();
+    callback(err);
+  }
+}
+
+module.exports = Http2Backend;
@@ -0,0 +1,223 @@
+'use strict';
+
+const stream = require('stream');
+const http2 = require('http2');
+const HttpHeaders = require('./HttpHeaders');
+const HttpMessageParser = require('./HttpMessageParser');
+
+const PREFACE = Buffer.from('PRI * HTTP/2.0\r\n\r\nSM\r\n\r\n');
+
+/**
+ * Presents a stream of an HTTP/2 connection as an HTTP/1.1 connection that
+ * carries just its request: reading gives the request head and body, the
+ * HTTP/1.1 response written to it is sent as HTTP/2 response. So a stream
+ * takes the same path as any HTTP/1 request - routing by its :authority,
+ * interceptors, limits, error pages and the access log.
+ * @class
+ */
+class Http2Frontend extends stream.Duplex {
+
+  /**
+   * @constructs Http2Frontend
+   * @param {Object} h2stream - ServerHttp2Stream
+   * @param {Object} headers - Request headers, with pseudo-headers
+   */
+  constructor(h2stream, headers) {
+    super();
+    this.stream = h2stream;
+    this.method = headers[':method'];
+    this.bytesRead = 0;
+    this.bytesWritten = 0;
+    this.parser = new HttpMessageParser('response');
+    this.parser.expectResponse(this.method);
+    this.response = null;
+    this.complete = false;
+    this.tunnel = false;
+    this.congested = false;
+    this.trailers = null;
+    this.head = this._requestHead(headers);
+
+    h2stream.on('data', (chunk) => {
+      if (!chunk.length) {
+        return;
+      }
+      this.bytesRead += chunk.length;
+      if (this.chunked) {
+        chunk = Buffer.concat([Buffer.from(chunk.length.toString(16) + '\r\n'), chunk, Buffer.from('\r\n')]);
+      }
+      if (!this.push(chunk)) {
+        h2stream.pause();
+      }
+    });
+    h2stream.on('end', () => {
+      if (this.chunked) {
+        this.push(Buffer.from('0\r\n\r\n'));
+      }
+      this.push(null);
+    });
+    h2stream.on('wantTrailers', () => {
+      if (this.trailers) {
+        h2stream.sendTrailers(this.trailers);
+      } else {
+        h2stream.close();
+      }
+    });
+    h2stream.on('timeout', () => this.emit('timeout'));
+    h2stream.on('error', () => this.destroy());
+    h2stream.on('close', () => this.destroy());
+
+    this.parser.on('headers', (message) => {
+      if (message.statusCode < 200 && message.statusCode != 101) {
+        return;
+      }
+      this.response = message;
+      this.tunnel = message.requestMethod == 'CONNECT' && message.statusCode < 300;
+      let headers = message.headerList.toHttp2();
+      headers[':status'] = message.statusCode;
+      h2stream.respond(headers, { waitForTrailers: message.headerList.has('trailer') });
+    });
+    this.parser.on('body', (chunk, offset, length) => {
+      this._send(chunk.slice(offset, offset + length));
+    });
+    this.parser.on('complete', (message) => {
+      if (message !== this.response) {
+        return;
+      }
+      this.complete = true;
+      if (message.trailers) {
+        this.trailers = message.trailers.toHttp2();
+      }
+      h2stream.end();
+    });
+  }
+
+  /**
+   * Serializes the request as HTTP/1.1. A body without Content-Length is
+   * sent chunked; the connection is closed after the response.
+   * @param {Object} headers
+   * @return {Buffer}
+   */
+  _requestHead(headers) {
+    let authority = headers[':authority'] || headers.host;
+    let fields = HttpHeaders.from({ host: authority });
+    for (let name of Object.keys(headers)) {
+      if (name[0] != ':' && name != 'host') {
+        fields.append(name, headers[name]);
+      }
+    }
+    this.chunked = !this.stream.endAfterHeaders && this.method != 'CONNECT' && !fields.has('content-length');
+    if (this.chunked) {
+      fields.set('transfer-encoding', 'chunked');
+    }
+    fields.set('connection', 'close');
+    let target = this.method == 'CONNECT' ? authority : headers[':path'];
+    let lines = [this.method + ' ' + target + ' HTTP/1.1'].concat(fields.lines());
+    return Buffer.from(lines.join('\r\n') + '\r\n\r\n');
+  }
+
+  _read() {
+    this.stream.resume();
+  }
+
+  _write(chunk, encoding, callback) {
+    this.bytesWritten += chunk.length;
+    if (this.tunnel) {
+      this._send(chunk);
+    } else {
+      let ret = this.parser.execute(chunk, 0, chunk.length);
+      if (ret instanceof Error) {
+        this.destroy();
+        return callback();
+      }
+      if (this.tunnel && ret < chunk.length) {
+        this._send(chunk.slice(ret));
+      }
+    }
+    if (!this.congested) {
+      return callback();
+    }
+    this.stream.once('drain', () => {
+      this.congested = false;
+      callback();
+    });
+  }
+
+  _send(data) {
+    if (!this.stream.destroyed && !this.stream.write(data)) {
+      this.congested = true;
+    }
+  }
+
+  _final(callback) {
+    // An unfinished response must not look complete
+    if (this.complete || this.tunnel) {
+      this.stream.end();
+    } else if (!this.stream.destroyed) {
+      this.stream.close(http2.constants.NGHTTP2_INTERNAL_ERROR);
+    }
+    callback();
+  }
+
+  _destroy(err, callback) {
+    if (!this.complete && !this.stream.destroyed) {
+      this.stream.close(http2.constants.NGHTTP2_CANCEL);
+    }
+    callback(err);
+  }
+
+  /**
+   * Sets the idle timeout of the stream, see net.Socket's setTimeout()
+   * @param {number} ms
+   */
+  setTimeout(ms) {
+    this.stream.setTimeout(ms);
+  }
+
+  /**
+   * Checks a connection's first bytes for the HTTP/2 connection preface
+   * @param {Buffer} buffer
+   * @return {number} 1 if it starts with the preface, 0 if it may still (more data needed), -1 if not
+   */
+  static preface(buffer) {
+    let length = Math.min(buffer.length, PREFACE.length);
+    if (!buffer.slice(0, length).equals(PREFACE.slice(0, length))) {
+      return -1;
+    }
+    return length == PREFACE.length ? 1 : 0;
+  }
+
+  /**
+   * Wraps a socket, some of whose data has been read already, so that an
+   * HTTP/2 session can take it over: the session reads from the wrapper,
+   * which replays the data first.
+   * @param {Object} socket
+   * @param {Buffer} buffer - Data read so far
+   * @return {Object} Duplex stream
+   */
+  static replay(socket, buffer) {
+    let duplex = new stream.Duplex({
+      read: () => socket.resume(),
+      // Errors of the socket are its own (see _handleConnection), the session learns of them by 'close'
+      write: (chunk, encoding, callback) => socket.write(chunk, () => callback()),
+      final: (callback) => {
+        socket.end();
+        callback();
+      },
+      destroy: (err, callback) => {
+        socket.destroy();
+        callback(err);
+      }
+    });
+    duplex.push(buffer);
+    socket.on('data', (chunk) => {
+      if (!duplex.push(chunk)) {
+        socket.pause();
+      }
+    });
+    socket.on('end', () => duplex.push(null));
+    socket.on('close', () => duplex.destroy());
+    return duplex;
+  }
+}
+
+module.exports = Http2Frontend;
@@ -0,0 +1,200 @@
+'use strict';
+
+/**
+ * Ordered list of the header fields of an HTTP message, as received:
+ * original name casing, order and repeated fields (e.g. several Set-Cookie)
+ * are kept, so that an unchanged message is serialized as it came in.
+ * Names are matched case-insensitively.
+ * @class
+ */
+class HttpHeaders {
+
+  /**
+   * @constructs HttpHeaders
+   * @param {Array} raw - Flat list of names and values, as given by http_parser.
+   */
+  constructor(raw = []) {
+    this.fields = [];
+    for (let i = 0; i + 1 < raw.length; i += 2) {
+      this.fields.push([raw[i], raw[i + 1]]);
+    }
+    this.view = HttpHeaders.view(this);
+  }
+
+  /**
+   * Returns the value of a header, repeated fields joined with ', '
+   * (Set-Cookie can't be joined, use getAll())
+   * @param {string} name
+   * @return {string|undefined}
+   */
+  get(name) {
+    let values = this.getAll(name);
+    return values.length ? values.join(', ') : undefined;
+  }
+
+  /**
+   * Returns all values of a header
+   * @param {string} name
+   * @return {Array}
+   */
+  getAll(name) {
+    name = name.toLowerCase();
+    return this.fields.filter((field) => field[0].toLowerCase() == name).map((field) => field[1]);
+  }
+
+  /**
+   * @param {string} name
+   * @return {boolean}
+   */
+  has(name) {
+    return this.getAll(name).length > 0;
+  }
+
+  /**
+   * Replaces all fields of a header, keeping the position and name casing of
+   * the first one; an array of values sets one field per value
+   * @param {string} name
+   * @param {string|Array} value
+   */
+  set(name, value) {
+    let values = [].concat(value).map(String);
+    let index = this._indexOf(name);
+    if (index == -1) {
+      index = this.fields.length;
+    } else {
+      name = this.fields[index][0];
+    }
+    this.remove(name);
+    let fields = values.map((value) => [name, value]);
+    this.fields.splice.apply(this.fields, [index, 0].concat(fields));
+  }
+
+  /**
+   * Adds a field after all others, existing fields of the header are kept
+   * @param {string} name
+   * @param {string|Array} value
+   */
+  append(name, value) {
+    for (let item of [].concat(value)) {
+      this.fields.push([name, String(item)]);
+    }
+  }
+
+  /**
+   * Removes all fields of a header
+   * @param {string} name
+   * @return {boolean} Whether a field was removed
+   */
+  remove(name) {
+    let length = this.fields.length;
+    name = name.toLowerCase();
+    this.fields = this.fields.filter((field) => field[0].toLowerCase() != name);
+    return this.fields.length != length;
+  }
+
+  /**
+   * Lists the distinct header names, lowercased
+   * @return {Array}
+   */
+  names() {
+    let names = [];
+    for (let field of this.fields) {
+      let name = field[0].toLowerCase();
+      if (names.indexOf(name) == -1) {
+        names.push(name);
+      }
+    }
+    return names;
+  }
+
+  /**
+   * Returns the header lines for serialization
+   * @return {Array}
+   */
+  lines() {
+    return this.fields.map((field) => field[0] + ': ' + field[1]);
+  }
+
+  /**
+   * Returns the headers as HTTP/2 expects them: lowercase names => value,
+   * repeated fields as array. Connection-specific headers, which HTTP/2
+   * forbids, are left out, as is Host (it becomes :authority).
+   * @return {Object}
+   */
+  toHttp2() {
+    let skip = ['host', 'connection', 'keep-alive', 'proxy-connection', 'transfer-encoding', 'upgrade'];
+    skip = skip.concat(String(this.get('connection') || '').toLowerCase().split(/\s*,\s*/));
+    let object = {};
+    for (let field of this.fields) {
+      let name = field[0].toLowerCase();
+      if (skip.indexOf(name) != -1 || name == 'te' && field[1].toLowerCase() != 'trailers') {
+        continue;
+      }
+      object[name] = object[name] === undefined ? field[1] : [].concat(object[name], field[1]);
+    }
+    return object;
+  }
+
+  _indexOf(name) {
+    name = name.toLowerCase();
+    for (let i = 0; i < this.fields.length; i++) {
+      if (this.fields[i][0].toLowerCase() == name) {
+        return i;
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * Creates a list from a plain object of headers
+   * @param {Object} object - name => value (or array of values)
+   * @return {HttpHeaders}
+   */
+  static from(object) {
+    let headers = new HttpHeaders();
+    for (let name of Object.keys(object || {})) {
+      if (object[name] !== undefined) {
+        headers.append(name, object[name]);
+      }
+    }
+    return headers;
+  }
+
+  /**
+   * Creates the message.headers object: lowercase names => values, like
+   * before, but reads and writes go to the list. Set-Cookie reads as an
+   * array, as in Node's http module.
+   * @param {HttpHeaders} headers
+   * @return {Object}
+   */
+  static view(headers) {
+    let read = (name) => {
+      return name.toLowerCase() == 'set-cookie' && headers.has(name) ? headers.getAll(name) : headers.get(name);
+    };
+    return new Proxy({}, {
+      get: (target, name) => typeof name == 'string' ? read(name) : undefined,
+      set: (target, name, value) => {
+        if (value === undefined) {
+          headers.remove(name);
+        } else {
+          headers.set(name, value);
+        }
+        return true;
+      },
+      has: (target, name) => typeof name == 'string' && headers.has(name),
+      deleteProperty: (target, name) => {
+        headers.remove(name);
+        return true;
+      },
+      ownKeys: () => headers.names(),
+      getOwnPropertyDescriptor: (target, name) => {
+        if (typeof name != 'string' || !headers.has(name)) {
+          return undefined;
+        }
+        return { value: read(name), writable: true, enumerable: true, configurable: true };
+      }
+    });
+  }
+}
+
+module.exports = HttpHeaders;
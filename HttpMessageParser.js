@@ -1,6 +1,7 @@
 const net = require('net');
 const http = require('http');
 const events = require('events');
+const HttpHeaders = require('./HttpHeaders');
 const HTTPParserModule = process.binding('http_parser');
 const HTTPParser = HTTPParserModule.HTTPParser;
 
@@ -14,35 +15,95 @@ class HttpMessageParser extends events.EventEmitter {
     const kOnMessageComplete = HTTPParser.kOnMessageComplete | 0;
     const kOnExecute = HTTPParser.kOnExecute | 0;
     var message;
+    var rawHeaders = [];
+    var rawUrl = '';
     parser.maxHeaderPairs = 2000;
+    // More than 32 header pairs (or a head spread over several chunks) are
+    // flushed here, kOnHeadersComplete then gets no headers and url
+    parser[kOnHeaders] = (headers, url) => {
+      rawHeaders = rawHeaders.concat(headers);
+      rawUrl += url;
+    }
     parser[kOnHeadersComplete] = (versionMajor, versionMinor, headers, method,
       url, statusCode, statusMessage, upgrade, shouldKeepAlive) => {
-      message = {headers: {}}
-      for (var i in headers) {
-        if (i % 2 == 1) {
-          message.headers[headers[i - 1].toLowerCase()] = headers[i];
-        }
+      if (headers === undefined) {
+        headers = rawHeaders;
+        url = rawUrl;
       }
-      message.url = url;
+      rawHeaders = [];
+      rawUrl = '';
+      let headerList = new HttpHeaders(headers);
+      message = {headers: headerList.view, headerList: headerList}
       message.versionMajor = versionMajor;
       message.versionMinor = versionMinor;
-      message.method = method ? HTTPParserModule.methods[method] : null;
+      message.method = typeof method == 'number' ? HTTPParserModule.methods[method] : null;
       message.url = url;
       message.statusCode = statusCode;
       message.statusMessage = statusMessage;
       message.upgrade = upgrade;
       message.shouldKeepAlive = shouldKeepAlive;
+      if (type != 'request' && (statusCode >= 200 || statusCode == 101)) {
+        message.requestMethod = this.requestMethods.shift() || null;
+        if (message.requestMethod == 'HEAD') {
+          // http_parser assumes a body delimited by EOF, but there is none
+          message.shouldKeepAlive = HttpMessageParser.keepAlive(message);
+        }
+      }
       this.emit('headers', message);
+      // Tell the parser how the message continues: 1 = no body, 2 = tunnel
+      if (message.requestMethod == 'CONNECT' && statusCode >= 200 && statusCode < 300) {
+        return 2;
+      }
+      return message.requestMethod == 'HEAD' ? 1 : 0;
     }
     parser[kOnBody] = (chunk, offset, length) => {
       this.emit('body', chunk, offset, length);
     }
+    parser[kOnMessageComplete] = () => {
+      if (rawHeaders.length) {
+        // Trailer fields of a chunked body
+        message.trailers = new HttpHeaders(rawHeaders);
+        rawHeaders = [];
+      }
+      this.emit('complete', message);
+    }
     this.parser = parser;
+    this.requestMethods = [];
+  }
+
+  /**
+   * Remembers the method of a request sent upstream, so that the matching
+   * response can be parsed correctly (HEAD has no body, CONNECT tunnels).
+   * Only used by response parsers.
+   * @param {string} method
+   */
+  expectResponse(method) {
+    this.requestMethods.push(method);
+  }
+
+  /**
+   * Determines connection persistence from version and Connection header
+   * @param {Object} message
+   * @return {boolean}
+   */
+  static keepAlive(message) {
+    let tokens = String(message.headers.connection || '').toLowerCase().split(/\s*,\s*/);
+    if (message.versionMajor == 1 && message.versionMinor == 0) {
+      return tokens.indexOf('keep-alive') != -1;
+    }
+    return tokens.indexOf('close') == -1;
   }
 
   execute(buffer, offset, length) {
     return this.parser.execute(buffer, offset, length);
   }
+
+  /**
+   * Signals EOF, completing a message delimited by connection close
+   */
+  finish() {
+    return this.parser.finish();
+  }
 }
 
 module.exports = HttpMessageParser;
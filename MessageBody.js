@@ -0,0 +1,173 @@
+'use strict';
+
+const events = require('events');
+
+/**
+ * Writes the body of a parsed HTTP message to the other side. http_parser
+ * hands out the payload without transfer coding, so chunked bodies are
+ * encoded again. Body interceptors are chained as streams; as they may change
+ * the length, their output is sent chunked, or buffered and sent with a
+ * Content-Length where chunked is not understood (HTTP/1.0).
+ * Emits 'finish' once the body has been written, 'error' if a stream fails
+ * and 'drain' when the streams take data again.
+ * @class
+ */
+class MessageBody extends events.EventEmitter {
+
+  /**
+   * @constructs MessageBody
+   * @param {Object} message - Parsed message, its headers are adjusted.
+   * @param {Object} options
+   * @param {Array} options.streams - Transform streams the body is piped through.
+   * @param {boolean} options.hasBody - False for messages without payload (HEAD, 204, 304...).
+   * @param {boolean} options.buffer - Buffers a transformed body instead of sending it chunked.
+   * @param {Function} options.serialize - Returns the head of the message as Buffer.
+   * @param {Function} options.write - Writes data to the other side.
+   * @param {Object} options.previous - MessageBody to wait for, keeps pipelined messages in order.
+   * @param {Function} options.capture - Receives the body as it is sent, without transfer coding (optional).
+   */
+  constructor(message, options) {
+    super();
+    this.message = message;
+    this.serialize = options.serialize;
+    this.send = options.write;
+    this.capture = options.capture || null;
+    this.hasBody = options.hasBody;
+    this.streams = options.hasBody ? options.streams || [] : [];
+    this.chunked = options.hasBody && MessageBody.isChunked(message);
+    this.buffer = null;
+    this.waiting = null;
+    this.finished = false;
+
+    if (options.previous && !options.previous.finished) {
+      this.waiting = [];
+      options.previous.once('finish', () => this._release());
+    }
+
+    if (this.streams.length) {
+      message.headers['content-length'] = undefined;
+      if (options.buffer) {
+        message.headers['transfer-encoding'] = undefined;
+        this.chunked = false;
+        this.buffer = [];
+      } else {
+        message.headers['transfer-encoding'] = 'chunked';
+        this.chunked = true;
+      }
+      let last = this.streams.reduce((source, stream) => {
+        source.on('error', (err) => this.emit('error', err));
+        return source.pipe(stream);
+      });
+      last.on('error', (err) => this.emit('error', err));
+      last.on('data', (data) => this._output(data));
+      last.on('end', () => this._finish());
+      this.streams[0].on('drain', () => this.emit('drain'));
+    }
+
+    if (!this.buffer) {
+      this._write(this.serialize());
+    }
+  }
+
+  /**
+   * Passes on a piece of the (decoded) body
+   * @param {Buffer} data
+   * @return {boolean} False if the streams are congested
+   */
+  write(data) {
+    if (!this.hasBody) {
+      return true;
+    }
+    if (this.streams.length) {
+      return this.streams[0].write(data);
+    }
+    this._output(data);
+    return true;
+  }
+
+  /**
+   * Signals the end of the body
+   */
+  end() {
+    if (this.streams.length) {
+      return this.streams[0].end();
+    }
+    this._finish();
+  }
+
+  _output(data) {
+    if (!data.length) {
+      return;
+    }
+    if (this.capture) {
+      this.capture(data);
+    }
+    if (this.buffer) {
+      return this.buffer.push(data);
+    }
+    if (this.chunked) {
+      data = Buffer.concat([Buffer.from(data.length.toString(16) + '\r\n'), data, Buffer.from('\r\n')]);
+    }
+    this._write(data);
+  }
+
+  _finish() {
+    if (this.buffer) {
+      let body = Buffer.concat(this.buffer);
+      this.message.headers['content-length'] = String(body.length);
+      this.buffer = null;
+      this._write(this.serialize());
+      this._write(body);
+    } else if (this.chunked) {
+      let trailers = this.message.trailers ? this.message.trailers.lines() : [];
+      this._write(Buffer.from(['0'].concat(trailers).join('\r\n') + '\r\n\r\n'));
+    }
+    this.finished = true;
+    if (!this.waiting) {
+      this.emit('finish');
+    }
+  }
+
+  _write(data) {
+    if (this.waiting) {
+      return this.waiting.push(data);
+    }
+    this.send(data);
+  }
+
+  _release() {
+    let waiting = this.waiting;
+    this.waiting = null;
+    for (let data of waiting) {
+      this.send(data);
+    }
+    if (this.finished) {
+      this.emit('finish');
+    }
+  }
+
+  /**
+   * Checks whether a message has a body, for responses the request method
+   * has to be known (see HttpMessageParser.expectResponse)
+   * @param {Object} message
+   * @return {boolean}
+   */
+  static hasBody(message) {
+    if (message.statusCode) {
+      let status = message.statusCode;
+      return message.requestMethod != 'HEAD' && status >= 200 && status != 204 && status != 304;
+    }
+    return MessageBody.isChunked(message) || parseInt(message.headers['content-length'], 10) > 0;
+  }
+
+  /**
+   * Checks whether a message body is sent with chunked transfer coding
+   * @param {Object} message
+   * @return {boolean}
+   */
+  static isChunked(message) {
+    return /(^|,)\s*chunked\s*$/i.test(message.headers['transfer-encoding'] || '');
+  }
+}
+
+module.exports = MessageBody;
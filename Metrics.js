@@ -0,0 +1,149 @@
+'use strict';
+
+const BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * Collects counters, gauges and histograms by name and labels, and renders
+ * them as JSON (getMetrics) or in the Prometheus text exposition format.
+ * @class
+ */
+class Metrics {
+
+  /**
+   * @constructs Metrics
+   * @param {string} prefix - Prepended to all names in the Prometheus output.
+   */
+  constructor(prefix = 'upstream_proxy_') {
+    this.prefix = prefix;
+    this.metrics = new Map();
+  }
+
+  /**
+   * Declares a metric
+   * @param {string} name
+   * @param {string} type - 'counter', 'gauge' or 'histogram'
+   * @param {string} help - Description
+   */
+  define(name, type, help) {
+    this.metrics.set(name, { type: type, help: help, series: new Map() });
+  }
+
+  /**
+   * Adds to a counter
+   * @param {string} name
+   * @param {Object} labels
+   * @param {number} value
+   */
+  increment(name, labels = {}, value = 1) {
+    this._series(name, labels).value += value;
+  }
+
+  /**
+   * Adds to a gauge, negative values subtract
+   * @param {string} name
+   * @param {Object} labels
+   * @param {number} delta
+   */
+  add(name, labels = {}, delta = 1) {
+    this._series(name, labels).value += delta;
+  }
+
+  /**
+   * Records a value in a histogram
+   * @param {string} name
+   * @param {Object} labels
+   * @param {number} value - In seconds
+   */
+  observe(name, labels, value) {
+    let series = this._series(name, labels);
+    series.sum += value;
+    series.count++;
+    for (let i = 0; i < BUCKETS.length; i++) {
+      if (value <= BUCKETS[i]) {
+        series.buckets[i]++;
+      }
+    }
+  }
+
+  _series(name, labels) {
+    let metric = this.metrics.get(name);
+    let key = JSON.stringify(labels);
+    let series = metric.series.get(key);
+    if (!series) {
+      series = { labels: labels, value: 0 };
+      if (metric.type == 'histogram') {
+        series = { labels: labels, sum: 0, count: 0, buckets: BUCKETS.map(() => 0) };
+      }
+      metric.series.set(key, series);
+    }
+    return series;
+  }
+
+  /**
+   * Returns a snapshot of all metrics
+   * @return {Object}
+   */
+  toJSON() {
+    let json = {};
+    for (let entry of this.metrics) {
+      let metric = entry[1];
+      json[entry[0]] = {
+        type: metric.type,
+        help: metric.help,
+        values: Array.from(metric.series.values()).map((series) => {
+          if (metric.type != 'histogram') {
+            return { labels: series.labels, value: series.value };
+          }
+          let buckets = {};
+          BUCKETS.forEach((bound, i) => buckets[bound] = series.buckets[i]);
+          return { labels: series.labels, sum: series.sum, count: series.count, buckets: buckets };
+        })
+      };
+    }
+    return json;
+  }
+
+  /**
+   * Renders all metrics in the Prometheus text exposition format
+   * @return {string}
+   */
+  toPrometheus() {
+    let lines = [];
+    for (let entry of this.metrics) {
+      let name = this.prefix + entry[0];
+      let metric = entry[1];
+      lines.push('# HELP ' + name + ' ' + metric.help);
+      lines.push('# TYPE ' + name + ' ' + metric.type);
+      for (let series of metric.series.values()) {
+        if (metric.type != 'histogram') {
+          lines.push(name + Metrics.labels(series.labels) + ' ' + series.value);
+          continue;
+        }
+        BUCKETS.forEach((bound, i) => {
+          let labels = Object.assign({}, series.labels, { le: String(bound) });
+          lines.push(name + '_bucket' + Metrics.labels(labels) + ' ' + series.buckets[i]);
+        });
+        let labels = Object.assign({}, series.labels, { le: '+Inf' });
+        lines.push(name + '_bucket' + Metrics.labels(labels) + ' ' + series.count);
+        lines.push(name + '_sum' + Metrics.labels(series.labels) + ' ' + series.sum);
+        lines.push(name + '_count' + Metrics.labels(series.labels) + ' ' + series.count);
+      }
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Formats a label set, e.g. {route="app-1",code="2xx"}
+   * @param {Object} labels
+   * @return {string}
+   */
+  static labels(labels) {
+    let pairs = Object.keys(labels).map((key) => {
+      let value = String(labels[key]).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+      return key + '="' + value + '"';
+    });
+    return pairs.length ? '{' + pairs.join(',') + '}' : '';
+  }
+}
+
+module.exports = Metrics;
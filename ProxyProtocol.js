@@ -0,0 +1,222 @@
+'use strict';
+
+const net = require('net');
+
+const V1_PREFIX = Buffer.from('PROXY ', 'ascii');
+const V1_MAX_LENGTH = 107;
+const V2_SIGNATURE = Buffer.from([0x0D, 0x0A, 0x0D, 0x0A, 0x00, 0x0D, 0x0A, 0x51, 0x55, 0x49, 0x54, 0x0A]);
+const V2_HEADER_LENGTH = 16;
+
+/**
+ * Reads and writes PROXY protocol headers (version 1 and 2), see
+ * https://www.haproxy.org/download/1.8/doc/proxy-protocol.txt
+ * An address record looks like:
+ * { family: 'IPv4'|'IPv6'|null, sourceAddress, sourcePort, destAddress, destPort }
+ */
+class ProxyProtocol {
+
+  /**
+   * Checks whether a buffer starts like a PROXY header (or could, if short)
+   * @param {Buffer} buffer
+   * @return {boolean}
+   */
+  static detect(buffer) {
+    let starts = (prefix) => {
+      let length = Math.min(buffer.length, prefix.length);
+      return buffer.slice(0, length).equals(prefix.slice(0, length));
+    };
+    return buffer.length > 0 && (starts(V1_PREFIX) || starts(V2_SIGNATURE));
+  }
+
+  /**
+   * Parses a PROXY header at the start of a buffer
+   * @param {Buffer} buffer
+   * @return {Object|null} { address, length }, null if more data is needed
+   * @throws {Error} If the header is malformed
+   */
+  static parse(buffer) {
+    if (!ProxyProtocol.detect(buffer)) {
+      throw new Error('Missing PROXY protocol header');
+    }
+    if (buffer[0] === V1_PREFIX[0]) {
+      return ProxyProtocol._parseV1(buffer);
+    }
+    return ProxyProtocol._parseV2(buffer);
+  }
+
+  static _parseV1(buffer) {
+    let end = buffer.indexOf('\r\n');
+    if (end == -1) {
+      if (buffer.length >= V1_MAX_LENGTH) {
+        throw new Error('PROXY protocol v1 header too long');
+      }
+      return null;
+    }
+    let parts = buffer.toString('ascii', 0, end).split(' ');
+    let address = { family: null };
+    if (parts[1] == 'TCP4' || parts[1] == 'TCP6') {
+      if (parts.length != 6 || !net.isIP(parts[2]) || !net.isIP(parts[3])) {
+        throw new Error('Malformed PROXY protocol v1 header');
+      }
+      address = {
+        family: parts[1] == 'TCP4' ? 'IPv4' : 'IPv6',
+        sourceAddress: parts[2],
+        destAddress: parts[3],
+        sourcePort: parseInt(parts[4], 10),
+        destPort: parseInt(parts[5], 10)
+      };
+    } else if (parts[1] != 'UNKNOWN') {
+      throw new Error('Malformed PROXY protocol v1 header');
+    }
+    return { address: address, length: end + 2 };
+  }
+
+  static _parseV2(buffer) {
+    if (buffer.length < V2_HEADER_LENGTH) {
+      return null;
+    }
+    let version = buffer[12] >> 4;
+    let command = buffer[12] & 0x0F;
+    if (version != 2) {
+      throw new Error('Unsupported PROXY protocol version ' + version);
+    }
+    let length = V2_HEADER_LENGTH + buffer.readUInt16BE(14);
+    if (buffer.length < length) {
+      return null;
+    }
+
+    let address = { family: null };
+    let family = buffer[13] >> 4;
+    let body = buffer.slice(V2_HEADER_LENGTH, length);
+    // command 0 is LOCAL (health checks of the balancer), addresses are ignored
+    if (command == 1 && family == 1 && body.length >= 12) {
+      address = {
+        family: 'IPv4',
+        sourceAddress: Array.from(body.slice(0, 4)).join('.'),
+        destAddress: Array.from(body.slice(4, 8)).join('.'),
+        sourcePort: body.readUInt16BE(8),
+        destPort: body.readUInt16BE(10)
+      };
+    } else if (command == 1 && family == 2 && body.length >= 36) {
+      address = {
+        family: 'IPv6',
+        sourceAddress: ProxyProtocol._formatIPv6(body.slice(0, 16)),
+        destAddress: ProxyProtocol._formatIPv6(body.slice(16, 32)),
+        sourcePort: body.readUInt16BE(32),
+        destPort: body.readUInt16BE(34)
+      };
+    }
+    return { address: address, length: length };
+  }
+
+  /**
+   * Builds a PROXY header
+   * @param {number} version - 1 or 2
+   * @param {Object} address
+   * @return {Buffer}
+   */
+  static encode(version, address) {
+    let family = ProxyProtocol._family(address);
+    if (version == 2) {
+      return ProxyProtocol._encodeV2(family, address);
+    }
+    if (!family) {
+      return Buffer.from('PROXY UNKNOWN\r\n', 'ascii');
+    }
+    return Buffer.from([
+      'PROXY', family == 'IPv4' ? 'TCP4' : 'TCP6',
+      ProxyProtocol._plain(address.sourceAddress, family), ProxyProtocol._plain(address.destAddress, family),
+      address.sourcePort, address.destPort
+    ].join(' ') + '\r\n', 'ascii');
+  }
+
+  static _encodeV2(family, address) {
+    let body = Buffer.alloc(0);
+    let familyByte = 0x00;
+    if (family == 'IPv4') {
+      familyByte = 0x11;
+      body = Buffer.alloc(12);
+      ProxyProtocol._plain(address.sourceAddress, family).split('.').forEach((n, i) => body[i] = n);
+      ProxyProtocol._plain(address.destAddress, family).split('.').forEach((n, i) => body[4 + i] = n);
+      body.writeUInt16BE(address.sourcePort, 8);
+      body.writeUInt16BE(address.destPort, 10);
+    } else if (family == 'IPv6') {
+      familyByte = 0x21;
+      body = Buffer.alloc(36);
+      ProxyProtocol._parseIPv6(address.sourceAddress).copy(body, 0);
+      ProxyProtocol._parseIPv6(address.destAddress).copy(body, 16);
+      body.writeUInt16BE(address.sourcePort, 32);
+      body.writeUInt16BE(address.destPort, 34);
+    }
+    let header = Buffer.alloc(V2_HEADER_LENGTH);
+    V2_SIGNATURE.copy(header, 0);
+    header[12] = family ? 0x21 : 0x20;
+    header[13] = familyByte;
+    header.writeUInt16BE(body.length, 14);
+    return Buffer.concat([header, body]);
+  }
+
+  /**
+   * Determines the address family, IPv4-mapped IPv6 addresses count as IPv4
+   * unless the other address is real IPv6
+   * @param {Object} address
+   * @return {string|null}
+   */
+  static _family(address) {
+    if (!address || !net.isIP(address.sourceAddress) || !net.isIP(address.destAddress)) {
+      return null;
+    }
+    let v4 = (ip) => net.isIPv4(ip) || /^::ffff:\d+\.\d+\.\d+\.\d+$/i.test(ip);
+    return v4(address.sourceAddress) && v4(address.destAddress) ? 'IPv4' : 'IPv6';
+  }
+
+  static _plain(ip, family) {
+    if (family == 'IPv4') {
+      return ip.replace(/^::ffff:/i, '');
+    }
+    return net.isIPv4(ip) ? '::ffff:' + ip : ip;
+  }
+
+  static _parseIPv6(ip) {
+    let buffer = Buffer.alloc(16);
+    ip = ProxyProtocol._plain(ip, 'IPv6');
+    let v4 = /(\d+\.\d+\.\d+\.\d+)$/.exec(ip);
+    if (v4) {
+      let n = v4[1].split('.').map(Number);
+      ip = ip.slice(0, v4.index) + ((n[0] << 8) | n[1]).toString(16) + ':' + ((n[2] << 8) | n[3]).toString(16);
+    }
+    let halves = ip.split('::');
+    let head = halves[0] ? halves[0].split(':') : [];
+    let tail = halves.length > 1 && halves[1] ? halves[1].split(':') : [];
+    let groups = head.concat(new Array(8 - head.length - tail.length).fill('0'), tail);
+    groups.forEach((group, i) => buffer.writeUInt16BE(parseInt(group, 16), i * 2));
+    return buffer;
+  }
+
+  static _formatIPv6(buffer) {
+    let groups = [];
+    for (let i = 0; i < 16; i += 2) {
+      groups.push(buffer.readUInt16BE(i).toString(16));
+    }
+    // Compress the longest run of zero groups (RFC 5952)
+    let best = { start: -1, length: 1 };
+    for (let i = 0; i < 8; i++) {
+      let j = i;
+      while (j < 8 && groups[j] === '0') {
+        j++;
+      }
+      if (j - i > best.length) {
+        best = { start: i, length: j - i };
+      }
+      i = j;
+    }
+    if (best.start == -1) {
+      return groups.join(':');
+    }
+    let head = groups.slice(0, best.start).join(':');
+    let tail = groups.slice(best.start + best.length).join(':');
+    return head + '::' + tail;
+  }
+}
+
+module.exports = ProxyProtocol;
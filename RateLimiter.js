@@ -0,0 +1,115 @@
+'use strict';
+
+const SWEEP_INTERVAL = 10000;
+
+/**
+ * Token bucket rate limit: every key (client address, host name, header
+ * value...) may send `burst` requests at once, refilled at `rate` requests
+ * per second. Buckets that have filled up again are dropped, so memory
+ * follows the active keys.
+ * @class
+ */
+class RateLimiter {
+
+  /**
+   * @constructs RateLimiter
+   * @param {Object} settings
+   * @param {number} settings.rate - Requests per second.
+   * @param {number} settings.burst - Bucket size (default: rate, at least 1).
+   * @param {string|Function} settings.key - 'ip' (default), 'host', 'header:<name>' or a function (message, client) returning the key.
+   */
+  constructor(settings = {}) {
+    this.settings = settings;
+    this.rate = settings.rate;
+    this.burst = settings.burst || Math.max(settings.rate, 1);
+    this.key = settings.key || 'ip';
+    this.buckets = new Map();
+    this.limited = 0;
+    this.swept = Date.now();
+  }
+
+  /**
+   * Returns the key a request is limited by
+   * @param {Object} message - Parsed request
+   * @param {Object} client - Address record of the connection
+   * @return {string}
+   */
+  keyOf(message, client) {
+    if (typeof this.key == 'function') {
+      return String(this.key(message, client));
+    }
+    if (this.key == 'host') {
+      return String(message.headers.host || '').toLowerCase();
+    }
+    if (this.key.indexOf('header:') === 0) {
+      // Requests without the header are limited by address
+      let value = message.headers[this.key.slice(7)];
+      return value === undefined ? client.address : String(value);
+    }
+    return client.address;
+  }
+
+  /**
+   * Takes a token from the bucket of a key
+   * @param {string} key
+   * @return {number} 0 if the request may pass, otherwise seconds until a token is available
+   */
+  take(key) {
+    let now = Date.now();
+    let bucket = this.buckets.get(key);
+    let tokens = bucket ? this._tokens(bucket, now) : this.burst;
+    if (now - this.swept > SWEEP_INTERVAL) {
+      this._sweep(now);
+    }
+    if (tokens >= 1) {
+      this.buckets.set(key, { tokens: tokens - 1, time: now });
+      return 0;
+    }
+    this.buckets.set(key, { tokens: tokens, time: now });
+    this.limited++;
+    return (1 - tokens) / this.rate;
+  }
+
+  _tokens(bucket, now) {
+    return Math.min(this.burst, bucket.tokens + (now - bucket.time) / 1000 * this.rate);
+  }
+
+  _sweep(now) {
+    this.swept = now;
+    for (let entry of this.buckets) {
+      if (this._tokens(entry[1], now) >= this.burst) {
+        this.buckets.delete(entry[0]);
+      }
+    }
+  }
+
+  /**
+   * Returns settings and state, for getLimits()
+   * @return {Object}
+   */
+  toJSON() {
+    return {
+      rate: this.rate,
+      burst: this.burst,
+      key: typeof this.key == 'function' ? 'function' : this.key,
+      keys: this.buckets.size,
+      limited: this.limited
+    };
+  }
+
+  /**
+   * Checks whether two settings limit alike, e.g. after a reload of the
+   * configuration, so the buckets can be kept
+   * @param {Object} a
+   * @param {Object} b
+   * @return {boolean}
+   */
+  static same(a, b) {
+    if (!a || !b) {
+      return a === b;
+    }
+    return a.rate === b.rate && a.burst === b.burst && (a.key || 'ip') === (b.key || 'ip');
+  }
+}
+
+module.exports = RateLimiter;
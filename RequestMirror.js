@@ -0,0 +1,71 @@
+'use strict';
+
+const net = require('net');
+
+// Data the shadow backend hasn't taken yet, beyond it the copy is given up
+const MAX_BUFFER = 1048576;
+const TIMEOUT = 10000;
+
+/**
+ * Sends a copy of a request to a shadow backend: the request head, then its
+ * body as it is passed to the real backend. The response is read and
+ * discarded, failures end the copy silently - the client's request is
+ * never held up by it.
+ * @class
+ */
+class RequestMirror {
+
+  /**
+   * @constructs RequestMirror
+   * @param {Object} endpoint - { host, port } or { path }
+   * @param {Buffer} head - Request head, asking to close the connection
+   * @param {Object} options
+   * @param {boolean} options.chunked - Sends the body with chunked transfer coding.
+   * @param {number} options.timeout - Milliseconds of inactivity until the copy is given up (default: 10000).
+   * @param {Function} options.onClose - Called with true if a response was received.
+   */
+  constructor(endpoint, head, options = {}) {
+    this.chunked = !!options.chunked;
+    this.answered = false;
+    this.socket = net.connect(endpoint);
+    this.socket.setTimeout(options.timeout || TIMEOUT, () => this.socket.destroy());
+    this.socket.on('error', () => this.socket.destroy());
+    this.socket.on('data', () => {
+      this.answered = true;
+    });
+    this.socket.on('close', () => {
+      if (options.onClose) {
+        options.onClose(this.answered);
+      }
+    });
+    this.socket.write(head);
+  }
+
+  /**
+   * Passes on a piece of the (decoded) body
+   * @param {Buffer} data
+   */
+  write(data) {
+    if (this.socket.destroyed) {
+      return;
+    }
+    if (this.socket.writableLength > MAX_BUFFER) {
+      return this.socket.destroy();
+    }
+    if (this.chunked) {
+      data = Buffer.concat([Buffer.from(data.length.toString(16) + '\r\n'), data, Buffer.from('\r\n')]);
+    }
+    this.socket.write(data);
+  }
+
+  /**
+   * Signals the end of the body
+   */
+  end() {
+    if (this.chunked && !this.socket.destroyed) {
+      this.socket.write('0\r\n\r\n');
+    }
+  }
+}
+
+module.exports = RequestMirror;
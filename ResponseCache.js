@@ -0,0 +1,505 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const HttpHeaders = require('./HttpHeaders');
+
+// Statuses cacheable without further ado (RFC 7231 section 6.1), if the response says for how long
+const CACHEABLE = [200, 203, 204, 300, 301, 308, 404, 410];
+// Describe the connection or are set again when serving, so they are not stored
+const NOT_STORED = ['connection', 'keep-alive', 'proxy-connection', 'transfer-encoding', 'te', 'trailer', 'upgrade', 'content-length', 'age'];
+// Sent with a 304 (RFC 7232 section 4.1)
+const NOT_MODIFIED = ['cache-control', 'content-location', 'date', 'etag', 'expires', 'last-modified', 'vary'];
+
+/**
+ * Shared HTTP cache for GET and HEAD: complete responses are kept in
+ * memory, the least recently used go first - to a directory on disk, if one
+ * is set, from which they are read back when requested again. Freshness
+ * follows Cache-Control (s-maxage, max-age, stale-while-revalidate) and
+ * Expires, variants follow Vary.
+ * @class
+ */
+class ResponseCache {
+
+  /**
+   * @constructs ResponseCache
+   * @param {Object} settings
+   * @param {number} settings.maxSize - Bytes kept in memory (default: 64 MiB).
+   * @param {number} settings.maxObjectSize - Largest response stored, in bytes (default: 1 MiB).
+   * @param {string} settings.dir - Directory of the disk tier, none if not set.
+   * @param {number} settings.maxDiskSize - Bytes kept on disk (default: 1 GiB).
+   */
+  constructor(settings = {}) {
+    this.settings = settings;
+    this.maxSize = settings.maxSize || 67108864;
+    this.maxObjectSize = settings.maxObjectSize || 1048576;
+    this.dir = settings.dir || null;
+    this.maxDiskSize = settings.maxDiskSize || 1073741824;
+    // Variant => entry, least recently used first
+    this.memory = new Map();
+    this.disk = new Map();
+    // Key => { vary, variants }
+    this.keys = new Map();
+    this.size = 0;
+    this.diskSize = 0;
+    if (this.dir) {
+      fs.mkdirSync(this.dir, { recursive: true });
+    }
+  }
+
+  /**
+   * Finds the stored response for a request. Its body is null if it has to
+   * be read from disk first, see load().
+   * @param {string} key - Identifies the resource, e.g. host name and URL
+   * @param {Object} request - Parsed request, for the headers named by Vary
+   * @return {Object|undefined} Entry
+   */
+  get(key, request) {
+    let resource = this.keys.get(key);
+    if (!resource) {
+      return undefined;
+    }
+    let variant = this._variant(key, resource.vary, request);
+    let entry = this.memory.get(variant);
+    if (entry) {
+      this.memory.delete(variant);
+      this.memory.set(variant, entry);
+      return entry;
+    }
+    entry = this.disk.get(variant);
+    if (entry) {
+      this.disk.delete(variant);
+      this.disk.set(variant, entry);
+    }
+    return entry;
+  }
+
+  /**
+   * Reads the body of an entry from disk and moves it back to memory
+   * @param {Object} entry
+   * @param {Function} callback - Receives the body, null if it is gone
+   */
+  load(entry, callback) {
+    if (entry.body) {
+      return callback(entry.body);
+    }
+    fs.readFile(entry.file, (err, body) => {
+      let stored = this.disk.get(entry.variant) === entry;
+      if (err || body.length != entry.length) {
+        if (stored) {
+          this._remove(entry);
+        }
+        return callback(null);
+      }
+      if (stored) {
+        this._remove(entry);
+        entry.body = body;
+        this._add(entry);
+      }
+      callback(body);
+    });
+  }
+
+  /**
+   * Stores a response, replacing the one stored for the same variant
+   * @param {string} key
+   * @param {Object} request
+   * @param {Object} entry - See ResponseCache.entry()
+   */
+  set(key, request, entry) {
+    entry.key = key;
+    entry.variant = this._variant(key, entry.vary, request);
+    let previous = this.memory.get(entry.variant) || this.disk.get(entry.variant);
+    if (previous) {
+      this._remove(previous);
+    }
+    this._add(entry);
+    // The latest response decides which headers select the variant
+    let resource = this.keys.get(key);
+    if (resource) {
+      resource.vary = entry.vary;
+    }
+  }
+
+  /**
+   * Updates a stored response after the backend confirmed it (304)
+   * @param {Object} entry
+   * @param {HttpHeaders} headers - Stored headers, updated by the 304's
+   * @param {Object} policy - See ResponseCache.policy()
+   */
+  refresh(entry, headers, policy) {
+    let size = entry.length + ResponseCache.headSize(headers);
+    if (this.memory.get(entry.variant) === entry) {
+      this.size += size - entry.size;
+    } else if (this.disk.get(entry.variant) === entry) {
+      this.diskSize += size - entry.size;
+    }
+    Object.assign(entry, ResponseCache.freshness(policy), { headers: headers, size: size });
+  }
+
+  /**
+   * Removes all variants stored for a key
+   * @param {string} key
+   * @return {number} Entries removed
+   */
+  delete(key) {
+    let resource = this.keys.get(key);
+    if (!resource) {
+      return 0;
+    }
+    let count = 0;
+    for (let variant of Array.from(resource.variants)) {
+      let entry = this.memory.get(variant) || this.disk.get(variant);
+      if (entry) {
+        this._remove(entry);
+        count++;
+      }
+    }
+    return count;
+  }
+
+  /**
+   * Removes a stored response
+   * @param {Object} entry
+   */
+  remove(entry) {
+    if (this.memory.get(entry.variant) === entry || this.disk.get(entry.variant) === entry) {
+      this._remove(entry);
+    }
+  }
+
+  /**
+   * Removes the responses stored for a host name and/or a URL prefix
+   * @param {string} host - All host names if not set
+   * @param {string} prefix - All URLs if not set
+   * @return {number} Entries removed
+   */
+  purge(host, prefix) {
+    let count = 0;
+    for (let tier of [this.memory, this.disk]) {
+      for (let entry of Array.from(tier.values())) {
+        if ((host === undefined || entry.host === host) && (prefix === undefined || entry.url.indexOf(prefix) === 0)) {
+          this._remove(entry);
+          count++;
+        }
+      }
+    }
+    return count;
+  }
+
+  /**
+   * Removes all stored responses, including the files on disk
+   */
+  clear() {
+    this.purge();
+  }
+
+  /**
+   * Returns sizes and limits
+   * @return {Object}
+   */
+  toJSON() {
+    return {
+      entries: this.memory.size,
+      size: this.size,
+      maxSize: this.maxSize,
+      diskEntries: this.disk.size,
+      diskSize: this.diskSize,
+      maxDiskSize: this.dir ? this.maxDiskSize : 0
+    };
+  }
+
+  _variant(key, vary, request) {
+    return [key].concat(vary.map((name) => name + ': ' + (request.headers[name] || ''))).join('\n');
+  }
+
+  _add(entry) {
+    let resource = this.keys.get(entry.key);
+    if (!resource) {
+      resource = { vary: entry.vary, variants: new Set() };
+      this.keys.set(entry.key, resource);
+    }
+    resource.variants.add(entry.variant);
+    this.memory.set(entry.variant, entry);
+    this.size += entry.size;
+    for (let oldest of this.memory.values()) {
+      if (this.size <= this.maxSize) {
+        break;
+      }
+      this.memory.delete(oldest.variant);
+      this.size -= oldest.size;
+      if (this.dir && oldest.size <= this.maxDiskSize) {
+        this._spill(oldest);
+      } else {
+        this._forget(oldest);
+      }
+    }
+  }
+
+  /**
+   * Moves an entry evicted from memory to disk. The body stays in memory
+   * until the file has been written, so it can be served meanwhile.
+   * @param {Object} entry
+   */
+  _spill(entry) {
+    let file = entry.file = path.join(this.dir, crypto.createHash('sha1').update(entry.variant).digest('hex') + '.cache');
+    this.disk.set(entry.variant, entry);
+    this.diskSize += entry.size;
+    fs.writeFile(file, entry.body, (err) => {
+      if (this.disk.get(entry.variant) !== entry) {
+        // Removed while it was written
+        return fs.unlink(file, (err) => {});
+      }
+      if (err) {
+        return this._remove(entry);
+      }
+      entry.body = null;
+    });
+    for (let oldest of this.disk.values()) {
+      if (this.diskSize <= this.maxDiskSize) {
+        break;
+      }
+      this._remove(oldest);
+    }
+  }
+
+  _remove(entry) {
+    if (this.memory.get(entry.variant) === entry) {
+      this.memory.delete(entry.variant);
+      this.size -= entry.size;
+    } else if (this.disk.get(entry.variant) === entry) {
+      this.disk.delete(entry.variant);
+      this.diskSize -= entry.size;
+      fs.unlink(entry.file, (err) => {});
+      entry.file = null;
+    }
+    this._forget(entry);
+  }
+
+  _forget(entry) {
+    let resource = this.keys.get(entry.key);
+    if (!resource) {
+      return;
+    }
+    resource.variants.delete(entry.variant);
+    if (!resource.variants.size) {
+      this.keys.delete(entry.key);
+    }
+  }
+
+  /**
+   * Checks whether a request is to be passed by the cache altogether:
+   * credentials, ranges and no-store
+   * @param {Object} request
+   * @return {boolean}
+   */
+  static bypass(request) {
+    let headers = request.headers;
+    return headers.authorization !== undefined || headers.range !== undefined ||
+      !!ResponseCache.directives(headers['cache-control'])['no-store'];
+  }
+
+  /**
+   * Checks whether a client asks for a response from the backend (reload),
+   * which is then stored again
+   * @param {Object} request
+   * @return {boolean}
+   */
+  static reload(request) {
+    let directives = ResponseCache.directives(request.headers['cache-control']);
+    return !!directives['no-cache'] || directives['max-age'] === '0' || /no-cache/i.test(request.headers.pragma || '');
+  }
+
+  /**
+   * Decides whether and for how long a response may be stored. Responses
+   * without an explicit lifetime get the app's ttl, if any.
+   * @param {Object} request
+   * @param {Object} response - Parsed response, or { statusCode, headers }
+   * @param {Object} settings - The app's cache settings: ttl, staleWhileRevalidate (seconds)
+   * @return {Object|null} { lifetime, stale, age, vary }, null if not cacheable
+   */
+  static policy(request, response, settings = {}) {
+    let headers = response.headers;
+    if (request.method != 'GET' || CACHEABLE.indexOf(response.statusCode) == -1) {
+      return null;
+    }
+    let directives = ResponseCache.directives(headers['cache-control']);
+    if (directives['no-store'] || directives['private'] || directives['no-cache'] || headers['set-cookie'] !== undefined) {
+      return null;
+    }
+    let vary = String(headers.vary || '').toLowerCase().split(/\s*,\s*/).filter((name) => name);
+    if (vary.indexOf('*') != -1) {
+      return null;
+    }
+
+    let seconds = (value) => Math.max(0, parseInt(value, 10) || 0);
+    let now = Date.now();
+    let date = Date.parse(headers.date);
+    if (isNaN(date)) {
+      date = now;
+    }
+    let lifetime;
+    if (directives['s-maxage'] !== undefined) {
+      lifetime = seconds(directives['s-maxage']);
+    } else if (directives['max-age'] !== undefined) {
+      lifetime = seconds(directives['max-age']);
+    } else if (headers.expires !== undefined) {
+      let expires = Date.parse(headers.expires);
+      lifetime = isNaN(expires) ? 0 : Math.max(0, (expires - date) / 1000);
+    } else if (settings.ttl) {
+      lifetime = settings.ttl;
+    } else {
+      return null;
+    }
+    let stale = directives['stale-while-revalidate'] !== undefined ?
+      seconds(directives['stale-while-revalidate']) : settings.staleWhileRevalidate || 0;
+    if (directives['must-revalidate'] || directives['proxy-revalidate']) {
+      stale = 0;
+    }
+    if (lifetime + stale <= 0) {
+      return null;
+    }
+    // Corrected initial age, RFC 7234 section 4.2.3
+    let age = Math.max(seconds(headers.age), (now - date) / 1000, 0);
+    return { lifetime: lifetime, stale: stale, age: age, vary: vary };
+  }
+
+  /**
+   * Creates the entry to store a response as
+   * @param {string} host - Host name of the request
+   * @param {Object} request
+   * @param {Object} response - Parsed response
+   * @param {Buffer} body
+   * @param {Object} policy - See ResponseCache.policy()
+   * @return {Object}
+   */
+  static entry(host, request, response, body, policy) {
+    let headers = response.headerList && response.headers === response.headerList.view ?
+      response.headerList : HttpHeaders.from(response.headers);
+    let stored = new HttpHeaders();
+    stored.fields = headers.fields.filter((field) => NOT_STORED.indexOf(field[0].toLowerCase()) == -1);
+    return Object.assign({
+      key: null,
+      variant: null,
+      host: host,
+      url: request.url,
+      status: response.statusCode,
+      statusMessage: response.statusMessage,
+      headers: stored,
+      body: body,
+      length: body.length,
+      size: body.length + ResponseCache.headSize(stored),
+      file: null,
+      vary: policy.vary,
+      transformed: false,
+      revalidating: false
+    }, ResponseCache.freshness(policy));
+  }
+
+  /**
+   * @param {Object} policy
+   * @return {Object} The entry's fields for it
+   */
+  static freshness(policy) {
+    return { time: Date.now(), age: policy.age, lifetime: policy.lifetime, stale: policy.stale };
+  }
+
+  /**
+   * Returns the current age of an entry in seconds
+   * @param {Object} entry
+   * @return {number}
+   */
+  static age(entry) {
+    return entry.age + (Date.now() - entry.time) / 1000;
+  }
+
+  /**
+   * @param {Object} entry
+   * @return {string|null} 'fresh', 'stale' (may be served while it is revalidated) or null if expired
+   */
+  static state(entry) {
+    let age = ResponseCache.age(entry);
+    if (age < entry.lifetime) {
+      return 'fresh';
+    }
+    return age < entry.lifetime + entry.stale ? 'stale' : null;
+  }
+
+  /**
+   * Checks the validators of a conditional request against an entry
+   * (If-None-Match, otherwise If-Modified-Since)
+   * @param {Object} request
+   * @param {Object} entry
+   * @return {boolean} True if a 304 can be sent
+   */
+  static notModified(request, entry) {
+    if (entry.status != 200) {
+      return false;
+    }
+    let match = request.headers['if-none-match'];
+    if (match !== undefined) {
+      let etag = entry.headers.get('etag');
+      let weak = (tag) => tag.trim().replace(/^W\//, '');
+      return match.trim() == '*' || !!etag && match.split(',').some((tag) => weak(tag) == weak(etag));
+    }
+    let since = Date.parse(request.headers['if-modified-since']);
+    let modified = Date.parse(entry.headers.get('last-modified'));
+    return !isNaN(since) && !isNaN(modified) && modified <= since;
+  }
+
+  /**
+   * Returns the headers of an entry to send with a 304
+   * @param {Object} entry
+   * @return {HttpHeaders}
+   */
+  static notModifiedHeaders(entry) {
+    let headers = new HttpHeaders();
+    headers.fields = entry.headers.fields.filter((field) => NOT_MODIFIED.indexOf(field[0].toLowerCase()) != -1);
+    return headers;
+  }
+
+  /**
+   * Updates stored headers with those of a 304 response
+   * @param {HttpHeaders} stored
+   * @param {Object} response - Parsed 304 response
+   * @return {HttpHeaders} A new list
+   */
+  static merge(stored, response) {
+    let headers = new HttpHeaders();
+    headers.fields = stored.fields.slice();
+    let update = HttpHeaders.from(response.headers);
+    for (let name of update.names()) {
+      if (NOT_STORED.indexOf(name) == -1) {
+        headers.set(name, update.getAll(name));
+      }
+    }
+    return headers;
+  }
+
+  /**
+   * Parses Cache-Control
+   * @param {string} value
+   * @return {Object} Directive (lowercased) => value, true if it has none
+   */
+  static directives(value) {
+    let directives = {};
+    for (let item of String(value || '').split(',')) {
+      let match = /^\s*([^=\s]+)\s*(?:=\s*"?([^"]*)"?)?\s*$/.exec(item);
+      if (match) {
+        directives[match[1].toLowerCase()] = match[2] === undefined ? true : match[2];
+      }
+    }
+    return directives;
+  }
+
+  /**
+   * @param {HttpHeaders} headers
+   * @return {number} Bytes the headers take
+   */
+  static headSize(headers) {
+    return headers.fields.reduce((size, field) => size + field[0].length + field[1].length + 4, 0);
+  }
+}
+
+module.exports = ResponseCache;
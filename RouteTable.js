@@ -0,0 +1,432 @@
+'use strict';
+
+/**
+ * Converts a condition from config into a matcher. Strings starting with
+ * '~' are regular expressions (like in NGINX), RegExp objects are used as-is.
+ * @param {string|RegExp} value
+ * @return {string|RegExp}
+ */
+function pattern(value) {
+  if (typeof value == 'string' && value[0] == '~') {
+    return new RegExp(value.slice(1));
+  }
+  return value;
+}
+
+/**
+ * A conditional route: matches requests by path, method and headers.
+ * @class
+ */
+class RouteRule {
+
+  /**
+   * @constructs RouteRule
+   * @param {Object} match - { path, methods, headers }, all optional.
+   * @param {Object} target - Endpoint or EndpointPool.
+   * @param {Object} options
+   * @param {string} options.name - Name of the app.
+   * @param {boolean} options.stripPrefix - Removes the matched path prefix from the url.
+   */
+  constructor(match, target, options = {}) {
+    this.name = options.name;
+    this.target = target;
+    this.stripPrefix = !!options.stripPrefix;
+    this.path = null;
+    this.methods = null;
+    this.headers = [];
+
+    if (match.path) {
+      this.path = pattern(match.path);
+      if (typeof this.path == 'string' && this.path.slice(-1) == '*') {
+        this.path = this.path.slice(0, -1);
+      }
+    }
+    if (match.methods) {
+      this.methods = [].concat(match.methods).map((method) => String(method).toUpperCase());
+    }
+    for (let name of Object.keys(match.headers || {})) {
+      let value = match.headers[name];
+      this.headers.push([name.toLowerCase(), value === true ? true : pattern(value)]);
+    }
+  }
+
+  /**
+   * Checks a request against all conditions
+   * @param {Object} message
+   * @return {boolean}
+   */
+  matches(message) {
+    if (this.path !== null && this._matchPath(message) === null) {
+      return false;
+    }
+    if (this.methods && this.methods.indexOf(message.method) == -1) {
+      return false;
+    }
+    for (let header of this.headers) {
+      let value = message.headers[header[0]];
+      if (value === undefined) {
+        return false;
+      }
+      if (header[1] instanceof RegExp ? !header[1].test(value) : header[1] !== true && header[1] !== value) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Applies the rule to a matched request (prefix stripping)
+   * @param {Object} message
+   */
+  rewrite(message) {
+    if (!this.stripPrefix || this.path === null) {
+      return;
+    }
+    let prefix = this._matchPath(message);
+    let url = message.url.slice(prefix.length);
+    message.url = url[0] == '/' ? url : '/' + url;
+  }
+
+  /**
+   * Returns the matched path prefix, null if the path does not match
+   * @param {Object} message
+   * @return {string|null}
+   */
+  _matchPath(message) {
+    if (typeof message.url != 'string') {
+      return null;
+    }
+    let path = message.url.split('?')[0];
+    if (this.path instanceof RegExp) {
+      let result = this.path.exec(path);
+      return result && result.index === 0 ? result[0] : null;
+    }
+    return path.indexOf(this.path) === 0 ? this.path : null;
+  }
+
+  /**
+   * Sort key, higher is more specific: path prefixes by length, then
+   * regular expressions, then no path; then number of headers; then methods.
+   * @return {Array}
+   */
+  specificity() {
+    let path = 0;
+    if (this.path instanceof RegExp) {
+      path = 1;
+    } else if (this.path !== null) {
+      path = 2 + this.path.length;
+    }
+    return [path, this.headers.length, this.methods ? 1 : 0];
+  }
+
+  toJSON() {
+    let match = {};
+    if (this.path !== null) {
+      match.path = this.path instanceof RegExp ? '~' + this.path.source : this.path;
+    }
+    if (this.methods) {
+      match.methods = this.methods;
+    }
+    if (this.headers.length) {
+      match.headers = {};
+      for (let header of this.headers) {
+        match.headers[header[0]] = header[1] instanceof RegExp ? '~' + header[1].source : header[1];
+      }
+    }
+    let json = { name: this.name, match: match };
+    if (this.stripPrefix) {
+      json.stripPrefix = true;
+    }
+    json.endpoint = this.target;
+    return json;
+  }
+}
+
+/**
+ * Routing map: host name => route. A host name with conditional rules maps
+ * to a list of RouteRule, most specific first.
+ * Besides exact host names, keys can be leading wildcards ('*.example.com'),
+ * kept in a trie of reversed labels, or regular expressions ('~^app-[0-9]+\.').
+ * Routes of listeners serving only some apps are kept alongside, in their
+ * own tables.
+ * @class
+ */
+class RouteTable extends Map {
+
+  constructor() {
+    super();
+    this.entries = new WeakMap();
+    this.wildcards = RouteTable.node();
+    this.patterns = new Map();
+    this.secureContexts = new Map();
+    this.tcp = [];
+    // Listener key => RouteTable of the apps a listener from config is limited to
+    this.listeners = new Map();
+  }
+
+  set(key, value) {
+    super.set(key, value);
+    if (key[0] == '~') {
+      this.patterns.set(key, new RegExp(key.slice(1), 'i'));
+    } else if (key.indexOf('*.') === 0) {
+      let node = this.wildcards;
+      for (let label of key.slice(2).split('.').reverse()) {
+        if (!node.children.has(label)) {
+          node.children.set(label, RouteTable.node());
+        }
+        node = node.children.get(label);
+      }
+      node.key = key;
+    }
+    return this;
+  }
+
+  delete(key) {
+    this.patterns.delete(key);
+    if (key.indexOf('*.') === 0) {
+      let node = this.wildcards;
+      for (let label of key.slice(2).split('.').reverse()) {
+        node = node && node.children.get(label);
+      }
+      if (node && node.key === key) {
+        node.key = null;
+      }
+    }
+    return super.delete(key);
+  }
+
+  clear() {
+    this.wildcards = RouteTable.node();
+    this.patterns = new Map();
+    this.tcp = [];
+    return super.clear();
+  }
+
+  /**
+   * Adds a route for a host name
+   * @param {string|RegExp} host
+   * @param {Object} target - Endpoint or EndpointPool.
+   * @param {Object} entry - Config entry, may carry match and stripPrefix.
+   */
+  add(host, target, entry = {}) {
+    host = RouteTable.key(host);
+    this.entries.set(target, entry);
+    let current = this.get(host);
+    if (!entry.match && !Array.isArray(current)) {
+      return this.set(host, target);
+    }
+
+    let rules = Array.isArray(current) ? current : [];
+    if (current && !Array.isArray(current)) {
+      rules.push(new RouteRule({}, current, this.entries.get(current)));
+    }
+    let rule = new RouteRule(entry.match || {}, target, entry);
+    if (!entry.match) {
+      // Last one wins, as with plain host names
+      rules = rules.filter((other) => other.path !== null || other.methods || other.headers.length);
+    }
+    rules.push(rule);
+
+    let order = new Map(rules.map((other, i) => [other, i]));
+    rules.sort((a, b) => {
+      let sa = a.specificity();
+      let sb = b.specificity();
+      for (let i = 0; i < sa.length; i++) {
+        if (sa[i] != sb[i]) {
+          return sb[i] - sa[i];
+        }
+      }
+      return order.get(a) - order.get(b);
+    });
+    return this.set(host, rules);
+  }
+
+  /**
+   * Finds the route for a request. Most specific host name wins: exact,
+   * then the longest matching wildcard, then regular expressions in config
+   * order, then the catch-all ('*').
+   * @param {string} hostname
+   * @param {Object} message
+   * @return {Object|undefined}
+   */
+  resolve(hostname, message) {
+    for (let key of this.lookup(hostname)) {
+      let route = this._match(this.get(key), message);
+      if (route) {
+        return route;
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * Lists the keys matching a host name, most specific first
+   * @param {string} hostname
+   * @return {Array}
+   */
+  lookup(hostname) {
+    let keys = [];
+    if (this.has(hostname)) {
+      keys.push(hostname);
+    }
+
+    let wildcards = [];
+    let node = this.wildcards;
+    let labels = hostname.split('.').reverse();
+    // A wildcard needs at least one more label: '*.example.com' != 'example.com'
+    for (let i = 0; i < labels.length - 1 && node; i++) {
+      node = node.children.get(labels[i]);
+      if (node && node.key) {
+        wildcards.unshift(node.key);
+      }
+    }
+    keys = keys.concat(wildcards);
+
+    for (let entry of this.patterns) {
+      if (entry[1].test(hostname)) {
+        keys.push(entry[0]);
+      }
+    }
+    if (hostname !== '*' && this.has('*')) {
+      keys.push('*');
+    }
+    return keys;
+  }
+
+  /**
+   * Adds the TLS context to terminate connections for a host name with
+   * @param {string|RegExp} host
+   * @param {Object} context - SecureContext
+   */
+  addSecureContext(host, context) {
+    this.secureContexts.set(RouteTable.key(host), context);
+  }
+
+  /**
+   * Finds the TLS context for a host name, same precedence as routes
+   * @param {string} hostname
+   * @return {Object|undefined}
+   */
+  secureContext(hostname) {
+    if (!this.secureContexts.size) {
+      return undefined;
+    }
+    let keys = this.lookup(hostname);
+    if (this.secureContexts.has(hostname)) {
+      keys.unshift(hostname);
+    }
+    for (let key of keys) {
+      if (this.secureContexts.has(key)) {
+        return this.secureContexts.get(key);
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * Returns the config entry a target was created from
+   * @param {Object} target - Endpoint or EndpointPool.
+   * @return {Object|undefined}
+   */
+  entryOf(target) {
+    return this.entries.get(target);
+  }
+
+  /**
+   * Adds a route for raw TCP connections
+   * @param {Object} tcp - { ports, match }: local ports and/or a condition on the first bytes
+   * @param {Object} target - Endpoint or EndpointPool.
+   * @param {Object} entry - Config entry.
+   */
+  addTcp(tcp, target, entry = {}) {
+    this.entries.set(target, entry);
+    this.tcp.push({
+      ports: tcp.ports || null,
+      match: tcp.match !== undefined ? pattern(tcp.match) : null,
+      target: target
+    });
+  }
+
+  /**
+   * Finds the TCP route for a connection, first added wins. Before any data
+   * has been received only routes by port alone apply, afterwards the ones
+   * matching the first bytes (a prefix, or a RegExp matching at the start).
+   * @param {number} port - Local port
+   * @param {Buffer} buffer - First bytes, not set yet
+   * @return {Object|undefined}
+   */
+  resolveTcp(port, buffer) {
+    let data = buffer ? buffer.toString('latin1') : null;
+    for (let route of this.tcp) {
+      if (route.ports && route.ports.indexOf(port) == -1) {
+        continue;
+      }
+      if (data === null ? route.match === null : route.match !== null && this._matchBytes(route.match, data)) {
+        return route.target;
+      }
+    }
+    return undefined;
+  }
+
+  _matchBytes(match, data) {
+    if (match instanceof RegExp) {
+      let result = match.exec(data);
+      return !!result && result.index === 0;
+    }
+    return data.indexOf(match) === 0;
+  }
+
+  /**
+   * Returns all distinct endpoints and pools routed to
+   * @return {Set}
+   */
+  targets() {
+    let targets = new Set();
+    for (let value of this.values()) {
+      for (let route of Array.isArray(value) ? value : [value]) {
+        targets.add(route instanceof RouteRule ? route.target : route);
+      }
+    }
+    for (let route of this.tcp) {
+      targets.add(route.target);
+    }
+    return targets;
+  }
+
+  _match(value, message) {
+    if (!Array.isArray(value)) {
+      return value;
+    }
+    for (let rule of value) {
+      if (rule.matches(message)) {
+        rule.rewrite(message);
+        return rule.target;
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * Normalizes a host name from config into a key
+   * @param {string|RegExp} host
+   * @return {string}
+   */
+  static key(host) {
+    if (host instanceof RegExp) {
+      return '~' + host.source;
+    }
+    return host[0] == '~' ? host : String(host).toLowerCase();
+  }
+
+  /**
+   * Creates a node of the wildcard trie
+   * @return {Object}
+   */
+  static node() {
+    return { children: new Map(), key: null };
+  }
+}
+
+RouteTable.RouteRule = RouteRule;
+
+module.exports = RouteTable;
@@ -0,0 +1,181 @@
+'use strict';
+
+const events = require('events');
+
+const RECORD_HEADER_LENGTH = 5;
+const CONTENT_TYPE_ALERT = 0x15;
+const CONTENT_TYPE_HANDSHAKE = 0x16;
+const HANDSHAKE_TYPE_CLIENT_HELLO = 0x01;
+const EXTENSION_SERVER_NAME = 0x0000;
+const NAME_TYPE_HOST_NAME = 0x00;
+const MAX_HELLO_LENGTH = 65536;
+
+/**
+ * Incrementally parses a TLS ClientHello (which may be split across several
+ * records and TCP chunks) and emits the requested server name (SNI).
+ * Emits 'hello' with { serverName, version } or 'error'.
+ * @class
+ */
+class TlsHelloParser extends events.EventEmitter {
+
+  constructor() {
+    super();
+    this.records = Buffer.alloc(0);
+    this.handshake = Buffer.alloc(0);
+    this.done = false;
+  }
+
+  /**
+   * Feeds data received from the client
+   * @param {Buffer} buffer
+   * @param {number} offset
+   * @param {number} length
+   */
+  execute(buffer, offset = 0, length = buffer.length - offset) {
+    if (this.done) {
+      return;
+    }
+    this.records = Buffer.concat([this.records, buffer.slice(offset, offset + length)]);
+
+    while (this.records.length >= RECORD_HEADER_LENGTH) {
+      if (this.records[0] !== CONTENT_TYPE_HANDSHAKE) {
+        return this._fail('Unexpected TLS record type ' + this.records[0]);
+      }
+      let fragmentLength = this.records.readUInt16BE(3);
+      if (this.records.length < RECORD_HEADER_LENGTH + fragmentLength) {
+        break;
+      }
+      let fragment = this.records.slice(RECORD_HEADER_LENGTH, RECORD_HEADER_LENGTH + fragmentLength);
+      this.records = this.records.slice(RECORD_HEADER_LENGTH + fragmentLength);
+      this.handshake = Buffer.concat([this.handshake, fragment]);
+    }
+
+    if (this.handshake.length + this.records.length > MAX_HELLO_LENGTH) {
+      return this._fail('TLS ClientHello too large');
+    }
+    if (this.handshake.length < 4) {
+      return;
+    }
+    if (this.handshake[0] !== HANDSHAKE_TYPE_CLIENT_HELLO) {
+      return this._fail('Expected TLS ClientHello');
+    }
+    let helloLength = this.handshake.readUIntBE(1, 3);
+    if (this.handshake.length < 4 + helloLength) {
+      return;
+    }
+
+    let hello;
+    try {
+      hello = TlsHelloParser.parseClientHello(this.handshake.slice(4, 4 + helloLength));
+    } catch (e) {
+      return this._fail(e.message);
+    }
+    this.done = true;
+    this.emit('hello', hello);
+  }
+
+  _fail(reason) {
+    this.done = true;
+    this.emit('error', new Error(reason));
+  }
+
+  /**
+   * Parses the body of a ClientHello handshake message
+   * @param {Buffer} body
+   * @return {Object}
+   */
+  static parseClientHello(body) {
+    let pos = 0;
+    let need = (n) => {
+      if (pos + n > body.length) {
+        throw new Error('Truncated TLS ClientHello');
+      }
+    };
+
+    need(2 + 32);
+    let version = body.readUInt16BE(pos);
+    pos += 2 + 32;
+
+    need(1);
+    pos += 1 + body[pos];
+    need(2);
+    pos += 2 + body.readUInt16BE(pos);
+    need(1);
+    pos += 1 + body[pos];
+
+    let hello = { serverName: null, version: version };
+    if (pos === body.length) {
+      return hello;
+    }
+
+    need(2);
+    let extensionsEnd = pos + 2 + body.readUInt16BE(pos);
+    pos += 2;
+    if (extensionsEnd > body.length) {
+      throw new Error('Truncated TLS ClientHello');
+    }
+    while (pos + 4 <= extensionsEnd) {
+      let type = body.readUInt16BE(pos);
+      let length = body.readUInt16BE(pos + 2);
+      pos += 4;
+      if (pos + length > extensionsEnd) {
+        throw new Error('Truncated TLS extension');
+      }
+      if (type === EXTENSION_SERVER_NAME) {
+        hello.serverName = TlsHelloParser.parseServerName(body.slice(pos, pos + length));
+      }
+      pos += length;
+    }
+    return hello;
+  }
+
+  /**
+   * Parses the server_name extension data (RFC 6066, section 3)
+   * @param {Buffer} data
+   * @return {string|null}
+   */
+  static parseServerName(data) {
+    if (data.length < 2) {
+      return null;
+    }
+    let end = Math.min(data.length, 2 + data.readUInt16BE(0));
+    let pos = 2;
+    while (pos + 3 <= end) {
+      let nameType = data[pos];
+      let length = data.readUInt16BE(pos + 1);
+      pos += 3;
+      if (pos + length > end) {
+        throw new Error('Truncated TLS server_name');
+      }
+      if (nameType === NAME_TYPE_HOST_NAME) {
+        return data.toString('ascii', pos, pos + length).toLowerCase();
+      }
+      pos += length;
+    }
+    return null;
+  }
+
+  /**
+   * Builds a fatal TLS alert record
+   * @param {number} description - e.g. 112 (unrecognized_name)
+   * @return {Buffer}
+   */
+  static alert(description) {
+    return Buffer.from([CONTENT_TYPE_ALERT, 0x03, 0x01, 0x00, 0x02, 0x02, description]);
+  }
+
+  /**
+   * Checks whether the first bytes of a connection look like a TLS handshake
+   * @param {Buffer} buffer
+   * @return {boolean}
+   */
+  static isClientHello(buffer) {
+    return buffer.length > 0 && buffer[0] === CONTENT_TYPE_HANDSHAKE;
+  }
+}
+
+TlsHelloParser.ALERT_HANDSHAKE_FAILURE = 40;
+TlsHelloParser.ALERT_INTERNAL_ERROR = 80;
+TlsHelloParser.ALERT_UNRECOGNIZED_NAME = 112;
+
+module.exports = TlsHelloParser;
@@ -14,7 +14,7 @@ let setConfigFromFile = () => {
   fs.readFile(configFile, 'utf8', (err, data) => {
     if (err) throw err;
     let result = proxy.setConfig( JSON.parse(data) );
-    console.log( `Config set: ${result}` );
+    console.log( `Config set: ${result.message || result}` );
   });
 }
 
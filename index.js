@@ -5,12 +5,31 @@
  * Imports
  * ...wait for v8 to implement es6 style
  * import net from 'net';
- * import sni from 'sni';
 */
 const net = require('net');
+const tls = require('tls');
+const http = require('http');
+const http2 = require('http2');
+const fs = require('fs');
+const path = require('path');
+const events = require('events');
 const xpipe = require('xpipe');
 const HttpMessageParser = require('./HttpMessageParser');
-const Transform = require('stream').Transform;
+const HttpHeaders = require('./HttpHeaders');
+const MessageBody = require('./MessageBody');
+const TlsHelloParser = require('./TlsHelloParser');
+const EndpointPool = require('./EndpointPool');
+const RouteTable = require('./RouteTable');
+const ProxyProtocol = require('./ProxyProtocol');
+const Metrics = require('./Metrics');
+const AccessLog = require('./AccessLog');
+const RateLimiter = require('./RateLimiter');
+const ResponseCache = require('./ResponseCache');
+const RequestMirror = require('./RequestMirror');
+const ConfigValidator = require('./ConfigValidator');
+const AdminApi = require('./AdminApi');
+const Http2Frontend = require('./Http2Frontend');
+const Http2Backend = require('./Http2Backend');
 
 /**
  * Creates a new upstream proxy instance.
@@ -20,61 +39,126 @@ class UpstreamProxy {
 
   /**
     * @constructs UpstreamProxy server
-    * @param {Object} config - Sets data for calculating the routes.
+    * @param {Array|Object} config - Sets data for calculating the routes (the apps, or { listeners, apps }), throws (err.errors) if invalid.
     * @param {Object} callbacks - Sets callbacks for external error handling.
+    * @param {Object} options - Sets proxy-wide options.
     * @return {Object}
     */
-  constructor(config = {}, callbacks = {}) {
+  constructor(config = [], callbacks = {}, options = {}) {
 
     this.active = false;
     this.id = 0;
     this.symId = Symbol('id');
     this.symHostHeader = Symbol('host_header');
+    this.symClient = Symbol('client');
     this.host_headers = {};
     this.sockets = new Map();
     this.requestInterceptors = [];
     this.responseInterceptors = [];
-    this.routeResolver = (message) => {
-      let hostHeader = message.headers.host.split(':')[0];
-      let route = this.routes.get(hostHeader);
-      if (!route) {
-        route = this.routes.get('*');
-      }
-      return route;
+    this.requestBodyInterceptors = [];
+    this.responseBodyInterceptors = [];
+    this.routeResolver = (message, routes = this.routes) => {
+      return routes.resolve(this._getHostname(message), message);
     }
 
+    this.metrics = new Metrics();
+    this.metrics.define('connections_active', 'gauge', 'Open frontend connections');
+    this.metrics.define('connections_total', 'counter', 'Accepted frontend connections');
+    this.metrics.define('requests_total', 'counter', 'Requests by route');
+    this.metrics.define('responses_total', 'counter', 'Responses to clients by route and status class');
+    this.metrics.define('errors_total', 'counter', 'Error responses generated by the proxy itself by route and status');
+    this.metrics.define('received_bytes_total', 'counter', 'Bytes from clients passed to backends by route');
+    this.metrics.define('sent_bytes_total', 'counter', 'Bytes from backends passed to clients by route');
+    this.metrics.define('backend_connections_active', 'gauge', 'Open backend connections by route and backend');
+    this.metrics.define('backend_connect_seconds', 'histogram', 'Backend connect latency by route and backend');
+    this.metrics.define('backend_connect_errors_total', 'counter', 'Failed backend connects by route and backend');
+    this.metrics.define('connections_rejected_total', 'counter', 'Connections refused by limit');
+    this.metrics.define('timeouts_total', 'counter', 'Connections and requests given up on by timeout');
+    this.metrics.define('requests_limited_total', 'counter', 'Requests answered with 429 by route and limit');
+    this.metrics.define('cache_requests_total', 'counter', 'Requests to apps with a cache by route and result');
+    this.metrics.define('mirror_requests_total', 'counter', 'Copies of requests sent to mirrors by route and result');
+    this.metricsServer = null;
+    this.adminApi = null;
+    this.accessLog = null;
+    this.serial = 0;
+    this.events = new events.EventEmitter();
+    this.clientConnections = new Map();
+    this.routeConnections = new Map();
+    this.routeQueues = new Map();
+    this.rateLimiter = null;
+    this.rateLimiters = new Map();
+    this.limitKeys = new WeakMap();
+    this.cache = null;
+    this.handlers = new Set();
+    this.sessions = new Map();
+    this.drains = new Set();
+    this.drainingAll = false;
+    this.drainWaiters = [];
+    this.listeners = new Map();
+
     this.status_codes = new Map([
       [400, 'Bad Request'],
       [404, 'Not Found'],
+      [408, 'Request Timeout'],
+      [429, 'Too Many Requests'],
+      [431, 'Request Header Fields Too Large'],
       [500, 'Internal Server Error'],
       [502, 'Bad Gateway'],
-      [503, 'Service Unavailable']
+      [503, 'Service Unavailable'],
+      [504, 'Gateway Timeout']
     ]);
 
-    try {
-      this.config = config;
-      this.routes = this._generateRoutesMap(this.config);
+    let result = this.validateConfig(config);
+    if (result !== 'OK') {
+      let err = new Error(result.message.replace(/^ERROR: /, ''));
+      err.errors = result.errors;
+      throw err;
     }
-    catch(e) {};
+    this.options = {};
+    result = this._applyOptions(options);
+    if (result !== 'OK') {
+      let err = new Error(result.message.replace(/^ERROR: /, ''));
+      err.errors = result.errors;
+      throw err;
+    }
+    this.config = config;
+    this.routes = this._generateRoutesMap(this.config);
 
     try {
       this.callbacks = callbacks;
     }
     catch(e) {};
 
-    let server = net.createServer((socket) => this._handleConnection(socket));
+    this._applyListeners(this._listenersOf(this.config));
+
+    let server = this.server = net.createServer((socket) => this._handleConnection(socket, null));
     server.start = () => this.start();
     server.stop = () => this.stop();
+    server.drain = (host, options) => this.drain(host, options);
+    server.drainAll = (options) => this.drainAll(options);
+    server.close = (options) => this.close(options);
     server.getStatus = () => this.getStatus();
     server.getConfig = () => this.getConfig();
     server.setConfig = (config) => this.setConfig(config);
+    server.validateConfig = (config) => this.validateConfig(config);
     server.getRoutes = () => this.getRoutes();
+    server.getConnections = (host) => this.getConnections(host);
+    server.getListeners = () => this.getListeners();
     server.getCallbacks = () => this.getCallbacks();
     server.setCallbacks = (callbacks) => this.setCallbacks(callbacks);
+    server.events = this.events;
+    server.getMetrics = () => this.getMetrics();
+    server.getLimits = () => this.getLimits();
+    server.purgeCache = (host, prefix) => this.purgeCache(host, prefix);
+    server.reopenLogs = () => this.reopenLogs();
+    server.getOptions = () => this.getOptions();
+    server.setOptions = (options) => this.setOptions(options);
     server.disconnectClients = (host) => this.disconnectClients(host);
     server.disconnectAllClients = () => this.disconnectAllClients();
     server.addRequestInterceptor = (fn) => this.addRequestInterceptor(fn);
     server.addResponseInterceptor = (fn) => this.addResponseInterceptor(fn);
+    server.addRequestBodyInterceptor = (fn, name) => this.addRequestBodyInterceptor(fn, name);
+    server.addResponseBodyInterceptor = (fn, name) => this.addResponseBodyInterceptor(fn, name);
     server.setRouteResolver = (fn) => this.setRouteResolver(fn);
 
     return server;
@@ -88,6 +172,25 @@ class UpstreamProxy {
     this.responseInterceptors.push(fn);
   }
 
+  /**
+   * Adds a request body interceptor: fn(message) returns a Transform stream
+   * the body is piped through, or nothing to leave the body untouched
+   * @param {Function} fn
+   * @param {string} name - Only for the app of this name (optional)
+   */
+  addRequestBodyInterceptor(fn, name) {
+    this.requestBodyInterceptors.push({ fn: fn, name: name });
+  }
+
+  /**
+   * Adds a response body interceptor, see addRequestBodyInterceptor()
+   * @param {Function} fn
+   * @param {string} name - Only for the app of this name (optional)
+   */
+  addResponseBodyInterceptor(fn, name) {
+    this.responseBodyInterceptors.push({ fn: fn, name: name });
+  }
+
   setRouteResolver(fn) {
     this.routeResolver = fn;
   }
@@ -95,211 +198,2489 @@ class UpstreamProxy {
   /**
    * Handles connections from frontend
    * @param {Object} socket
+   * @param {Object} listener - Listener from config it was accepted on, null for the proxy's own server
+   */
+  _handleConnection(socket, listener) {
+    this.metrics.increment('connections_total');
+    this.metrics.add('connections_active', {}, 1);
+
+    let client = socket[this.symClient] = {
+      id: ++this.serial,
+      address: this._plainAddress(socket.remoteAddress),
+      port: socket.remotePort,
+      localAddress: this._plainAddress(socket.localAddress),
+      localPort: socket.localPort,
+      listener: listener,
+      encrypted: false,
+      time: new Date(),
+      // Connections accepted while stopped get a 503
+      inactive: !this.active,
+      timer: null
+    };
+
+    socket.once('close', () => {
+      clearTimeout(client.timer);
+      this.metrics.add('connections_active', {}, -1);
+      this._emit('close', client, {
+        bytesReceived: socket.bytesRead,
+        bytesSent: socket.bytesWritten,
+        duration: Date.now() - client.time.getTime()
+      });
+    });
+
+    socket.on('error', (err) => {
+      socket.end();
+    });
+
+    // Slowloris: a client has to get to its first request in time
+    this._setTimer(client, this._setting('headerTimeout'), () => {
+      this.metrics.increment('timeouts_total', { timeout: 'header' });
+      socket.destroy();
+    });
+
+    let acceptProxyProtocol = listener && listener.settings.acceptProxyProtocol !== undefined ?
+      listener.settings.acceptProxyProtocol : this.options.acceptProxyProtocol;
+    if (acceptProxyProtocol) {
+      return this._readProxyHeader(socket);
+    }
+    if (this._admitClient(socket)) {
+      this._routeConnection(socket, null);
+    }
+  }
+
+  /**
+   * Counts a connection against the maxConnectionsPerIp of its client
+   * @param {Object} socket
+   * @return {boolean} False if the limit is reached, the connection is closed then
+   */
+  _admitClient(socket) {
+    let address = socket[this.symClient].address;
+    let count = this.clientConnections.get(address) || 0;
+    let limit = this._setting('maxConnectionsPerIp');
+    if (limit && count >= limit) {
+      this.metrics.increment('connections_rejected_total', { limit: 'maxConnectionsPerIp' });
+      socket.destroy();
+      return false;
+    }
+    this.clientConnections.set(address, count + 1);
+    socket.once('close', () => {
+      let count = this.clientConnections.get(address) - 1;
+      if (count) {
+        this.clientConnections.set(address, count);
+      } else {
+        this.clientConnections.delete(address);
+      }
+    });
+    return true;
+  }
+
+  /**
+   * Counts a backend connection against the maxConnections of its route
+   * @param {Object} route
+   * @return {boolean} False if the limit is reached
+   */
+  _acquireRoute(route) {
+    let key = this._limitKey(route);
+    let count = this.routeConnections.get(key) || 0;
+    let limit = this._routeEntry(route).maxConnections;
+    if (limit && count >= limit) {
+      return false;
+    }
+    this.routeConnections.set(key, count + 1);
+    return true;
+  }
+
+  /**
+   * Frees a backend connection of a route, or hands it over to the first
+   * request waiting in the route's queue
+   * @param {Object} route
+   */
+  _releaseRoute(route) {
+    let key = this._limitKey(route);
+    let queue = this.routeQueues.get(key);
+    if (queue) {
+      let waiter = queue.shift();
+      if (!queue.length) {
+        this.routeQueues.delete(key);
+      }
+      clearTimeout(waiter.timer);
+      return waiter.forward();
+    }
+    let count = this.routeConnections.get(key) - 1;
+    if (count > 0) {
+      this.routeConnections.set(key, count);
+    } else {
+      this.routeConnections.delete(key);
+    }
+  }
+
+  /**
+   * Identifies a route for its connection count, queue and rate limit: by
+   * app name, so they carry over when setConfig() replaces the routes. A
+   * route keeps the key it had when first counted.
+   * @param {Object} route
+   * @return {string|Object} App name, or the route itself for unnamed apps
+   */
+  _limitKey(route) {
+    let key = this.limitKeys.get(route);
+    if (key === undefined) {
+      key = this._routeEntry(route).name || route;
+      this.limitKeys.set(route, key);
+    }
+    return key;
+  }
+
+  /**
+   * Returns a limit or timeout: the app's own setting, the proxy option or
+   * the default
+   * @param {string} name
+   * @param {Object} route - Optional
+   * @return {number}
+   */
+  _setting(name, route) {
+    let entry = route ? this._routeEntry(route) : {};
+    if (entry[name] !== undefined) {
+      return entry[name];
+    }
+    if (this.options[name] !== undefined) {
+      return this.options[name];
+    }
+    return UpstreamProxy.DEFAULTS[name];
+  }
+
+  /**
+   * (Re)starts the timer of a connection or request, 0 stops it
+   * @param {Object} record - Client, handler or exchange
+   * @param {number} ms
+   * @param {Function} fn
+   */
+  _setTimer(record, ms, fn) {
+    clearTimeout(record.timer);
+    record.timer = ms ? setTimeout(fn, ms) : null;
+  }
+
+  /**
+   * Splices a connection right away if a TCP route is set for its port
+   * alone (the backend may speak first), otherwise waits for its first bytes
+   * @param {Object} socket
+   * @param {Buffer} buffer - Data received so far, null if none
+   */
+  _routeConnection(socket, buffer) {
+    let client = socket[this.symClient];
+    let route = this._protocolMode(client) != 'http' && this._routesOf(client).resolveTcp(client.localPort);
+    if (route) {
+      this._emit('connection', socket[this.symClient]);
+      return this._handleTcpConnection(socket, route, buffer || Buffer.alloc(0));
+    }
+    if (buffer) {
+      return this._detectProtocol(socket, buffer);
+    }
+    socket.once('data', (chunk) => this._detectProtocol(socket, chunk));
+  }
+
+  /**
+   * Dispatches a connection by its first bytes: TCP routes matching them,
+   * TLS or HTTP, as far as the protocol of its listener allows
+   * @param {Object} socket
+   * @param {Buffer} buffer - First chunk received
+   */
+  _detectProtocol(socket, buffer) {
+    let client = socket[this.symClient];
+    let mode = this._protocolMode(client);
+    this._emit('connection', client);
+    let route = mode != 'http' && this._routesOf(client).resolveTcp(client.localPort, buffer);
+    if (route) {
+      this._handleTcpConnection(socket, route, buffer);
+    } else if (mode == 'tcp') {
+      socket.destroy();
+    } else if (mode != 'http' && TlsHelloParser.isClientHello(buffer)) {
+      this._handleTlsConnection(socket, buffer);
+    } else if (mode == 'tls') {
+      socket.destroy();
+    } else {
+      this._handleHttp(socket, buffer);
+    }
+  }
+
+  /**
+   * Returns the protocol a connection's listener accepts: 'auto' (raw TCP
+   * routes, TLS and HTTP), 'http', 'tls' or 'tcp'
+   * @param {Object} client
+   * @return {string}
+   */
+  _protocolMode(client) {
+    return (client.listener && client.listener.settings.protocol) || 'auto';
+  }
+
+  /**
+   * Returns the routes of a connection: those of the apps its listener
+   * serves, or all
+   * @param {Object} client
+   * @return {RouteTable}
+   */
+  _routesOf(client) {
+    return (client.listener && this.routes.listeners.get(client.listener.key)) || this.routes;
+  }
+
+  /**
+   * Dispatches plain or decrypted HTTP by the HTTP/2 connection preface
+   * @param {Object} socket
+   * @param {Buffer} buffer - First chunk received
    */
-  _handleConnection(socket) {
-    if (!this.active) {
-      return socket.end(this._httpResponse(503));
+  _handleHttp(socket, buffer) {
+    let preface = this._setting('http2') ? Http2Frontend.preface(buffer) : -1;
+    if (preface == 0) {
+      return socket.once('data', (chunk) => this._handleHttp(socket, Buffer.concat([buffer, chunk])));
+    }
+    if (preface == 1) {
+      return this._handleHttp2Connection(socket, buffer);
     }
+    this._handleHttpConnection(socket, buffer);
+  }
+
+  /**
+   * Runs an HTTP/2 session on a connection (h2c prior knowledge or ALPN
+   * h2). Each stream is routed on its own, by its :authority, see
+   * Http2Frontend.
+   * @param {Object} socket
+   * @param {Buffer} buffer - Data received so far
+   */
+  _handleHttp2Connection(socket, buffer) {
+    let settings = this._setting('http2');
+    let server = http2.createServer({ settings: typeof settings == 'object' ? settings : {} });
+    server.setTimeout(0);
+    server.on('session', (session) => {
+      this.sessions.set(session, socket);
+      session.on('stream', (stream, headers) => this._handleHttp2Stream(socket, stream, headers));
+      session.on('error', () => socket.destroy());
+      session.on('close', () => {
+        this.sessions.delete(session);
+        socket.destroy();
+        this._checkDrains();
+      });
+      let idleTimeout = this._setting('idleTimeout');
+      if (idleTimeout) {
+        session.setTimeout(idleTimeout, () => {
+          this.metrics.increment('timeouts_total', { timeout: 'idle' });
+          session.destroy();
+        });
+      }
+      if (this.drainingAll) {
+        session.close();
+      }
+    });
+    server.emit('connection', Http2Frontend.replay(socket, buffer));
+  }
+
+  /**
+   * Hands a stream of an HTTP/2 session over to the HTTP request pipeline
+   * @param {Object} socket - Connection of the session
+   * @param {Object} stream - ServerHttp2Stream
+   * @param {Object} headers
+   */
+  _handleHttp2Stream(socket, stream, headers) {
+    let frontend = new Http2Frontend(stream, headers);
+    frontend[this.symClient] = socket[this.symClient];
+    frontend.on('error', (err) => frontend.destroy());
+    this._handleHttpConnection(frontend, frontend.head);
+  }
+
+  /**
+   * Reads an inbound PROXY protocol header (sent by NGINX or a load
+   * balancer), the client address in it replaces the socket's one
+   * @param {Object} socket
+   */
+  _readProxyHeader(socket) {
+    let buffer = Buffer.alloc(0);
 
-    var parser = new HttpMessageParser('request');
+    let onData = (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      let header;
+      try {
+        header = ProxyProtocol.parse(buffer);
+      } catch (e) {
+        socket.removeListener('data', onData);
+        return socket.destroy();
+      }
+      if (!header) {
+        return;
+      }
+      socket.removeListener('data', onData);
 
-    socket.once('data', (buffer) => {
-      var ret = parser.execute(buffer, 0, buffer.length);
-      if (ret instanceof Error) {
-        parser.emit('error');
+      let address = header.address;
+      if (address.family) {
+        Object.assign(socket[this.symClient], {
+          address: this._plainAddress(address.sourceAddress),
+          port: address.sourcePort,
+          localAddress: this._plainAddress(address.destAddress),
+          localPort: address.destPort
+        });
       }
+      if (!this._admitClient(socket)) {
+        return;
+      }
+
+      let rest = buffer.slice(header.length);
+      this._routeConnection(socket, rest.length ? rest : null);
+    };
+
+    socket.on('data', onData);
+  }
+
+  /**
+   * Strips the IPv6 prefix of IPv4-mapped addresses
+   * @param {string} address
+   * @return {string}
+   */
+  _plainAddress(address) {
+    return String(address || '').replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, '');
+  }
+
+  /**
+   * Reads HTTP requests from frontend. Every request on a connection is
+   * routed on its own, responses are returned in request order.
+   * @param {Object} socket
+   * @param {Buffer} buffer - First chunk received
+   */
+  _handleHttpConnection(socket, buffer) {
+    let handler = {
+      protocol: 'http',
+      socket: socket,
+      client: socket[this.symClient],
+      parser: new HttpMessageParser('request'),
+      exchanges: [],
+      exchange: null,
+      link: null,
+      links: new Set(),
+      body: null,
+      pending: null,
+      held: null,
+      congested: false,
+      closing: false,
+      reading: true,
+      headBytes: 0,
+      timer: null,
+      waiter: null
+    };
+    clearTimeout(handler.client.timer);
+    this.handlers.add(handler);
+
+    handler.parser.on('headers', (request) => {
+      handler.reading = false;
+      this._setTimer(handler, 0);
+      this._handleEvent(handler, () => this._handleRequest(handler, request));
     });
 
-    parser.once('headers', (request) => {
-      this._handleRequest(socket, request);
+    handler.parser.on('body', (chunk, offset, length) => {
+      let data = chunk.slice(offset, offset + length);
+      this._handleEvent(handler, () => {
+        if (handler.body && !handler.body.write(data)) {
+          socket.pause();
+        }
+      });
     });
 
-    parser.on('error', () => {
-      socket.end(this._httpResponse(400));
+    handler.parser.on('complete', () => {
+      handler.reading = true;
+      handler.headBytes = 0;
+      this._handleEvent(handler, () => {
+        if (handler.body) {
+          handler.body.end();
+        }
+      });
     });
 
-    socket.once('error', (err) => {
-      socket.end();
+    handler.parser.on('error', () => {
+      this._handleEvent(handler, () => {
+        this._respondError(handler, this._newExchange(handler, null), 400, null);
+      });
+    });
+
+    socket.on('data', (chunk) => this._handleRequestData(handler, chunk));
+    socket.on('drain', () => {
+      handler.congested = false;
+      this._resumeLinks(handler);
+    });
+    socket.on('close', () => this._closeHandler(handler));
+    this._setIdleTimeout(socket, null);
+
+    this._handleRequestData(handler, buffer);
+  }
+
+  /**
+   * Feeds frontend data to the request parser, or passes it through
+   * once the connection has been upgraded
+   * @param {Object} handler
+   * @param {Buffer} chunk
+   */
+  _handleRequestData(handler, chunk) {
+    if (handler.closing) {
+      return;
+    }
+    if (handler.protocol != 'http') {
+      return this._handleEvent(handler, () => this._writeRequestData(handler, chunk));
+    }
+    if (handler.reading) {
+      handler.headBytes += chunk.length;
+      if (!handler.timer) {
+        this._setTimer(handler, this._setting('headerTimeout'), () => {
+          this.metrics.increment('timeouts_total', { timeout: 'header' });
+          this._rejectHead(handler, 408);
+        });
+      }
+    }
+    let ret = handler.parser.execute(chunk, 0, chunk.length);
+    if (ret instanceof Error) {
+      // http_parser has a limit of its own (8 KiB on Node 10)
+      if (ret.code == 'HPE_HEADER_OVERFLOW') {
+        return this._rejectHead(handler, 431);
+      }
+      return handler.parser.emit('error');
+    }
+    let maxHeaderSize = this._setting('maxHeaderSize');
+    if (handler.reading && maxHeaderSize && handler.headBytes > maxHeaderSize) {
+      this._rejectHead(handler, 431);
+    }
+    if (handler.protocol != 'http' && ret < chunk.length) {
+      this._handleEvent(handler, () => this._writeRequestData(handler, chunk.slice(ret)));
+    }
+  }
+
+  /**
+   * Answers a request whose head could not be read (in time, or in size)
+   * @param {Object} handler
+   * @param {number} status
+   */
+  _rejectHead(handler, status) {
+    handler.reading = false;
+    this._setTimer(handler, 0);
+    this._handleEvent(handler, () => {
+      this._respondError(handler, this._newExchange(handler, null), status, null);
     });
   }
 
   /**
-   * Handles data from connection handler
+   * Closes a frontend connection once it has been idle for the idleTimeout
+   * of its route (or the proxy)
    * @param {Object} socket
-   * @param {Buffer} data
+   * @param {Object} route - null before a request has been routed
+   */
+  _setIdleTimeout(socket, route) {
+    if (!socket.listenerCount('timeout')) {
+      socket.on('timeout', () => {
+        this.metrics.increment('timeouts_total', { timeout: 'idle' });
+        socket.destroy();
+      });
+    }
+    socket.setTimeout(this._setting('idleTimeout', route));
+  }
+
+  /**
+   * Reads the TLS ClientHello from frontend, which may span several chunks
+   * @param {Object} socket
+   * @param {Buffer} buffer - First chunk received
+   */
+  _handleTlsConnection(socket, buffer) {
+    let parser = new TlsHelloParser();
+    let chunks = [];
+
+    let onData = (chunk) => {
+      chunks.push(chunk);
+      parser.execute(chunk, 0, chunk.length);
+    };
+
+    parser.once('hello', (hello) => {
+      socket.removeListener('data', onData);
+      socket.pause();
+      this._handleTlsHello(socket, hello, Buffer.concat(chunks));
+    });
+
+    parser.once('error', () => {
+      socket.removeListener('data', onData);
+      socket.end(TlsHelloParser.alert(TlsHelloParser.ALERT_HANDSHAKE_FAILURE));
+    });
+
+    socket.on('data', onData);
+    onData(buffer);
+  }
+
+  /**
+   * Routes a TLS connection by its SNI and splices it to the backend as-is
+   * @param {Object} socket
+   * @param {Object} hello - Parsed ClientHello
+   * @param {Buffer} buffer - Raw bytes received so far
    */
-  _handleRequest(socket, message) {
-    let host_header = '*';
-    let route = this.routeResolver(message);
+  _handleTlsHello(socket, hello, buffer) {
+    let host_header = (hello.serverName || '').toLowerCase();
+    let routes = this._routesOf(socket[this.symClient]);
+    let context = routes.secureContext(host_header);
+    if (context) {
+      return this._terminateTls(socket, buffer, context, routes);
+    }
+    clearTimeout(socket[this.symClient].timer);
+    if (socket[this.symClient].inactive || this._draining(host_header, socket[this.symClient])) {
+      return socket.end(TlsHelloParser.alert(TlsHelloParser.ALERT_INTERNAL_ERROR));
+    }
+
+    let route = this.routeResolver({
+      headers: { host: host_header },
+      serverName: hello.serverName,
+      tls: true
+    }, routes);
     if (!route) {
-      return socket.end(this._httpResponse(404));
+      this._emit('routeMiss', socket[this.symClient], { host: host_header });
+      return socket.end(TlsHelloParser.alert(TlsHelloParser.ALERT_UNRECOGNIZED_NAME));
     }
-    host_header = route.host;
+    this._emit('route', socket[this.symClient], { host: host_header, route: this._routeName(route) });
+    if (!this._acquireRoute(route)) {
+      this.metrics.increment('connections_rejected_total', { limit: 'maxConnections' });
+      return socket.end(TlsHelloParser.alert(TlsHelloParser.ALERT_INTERNAL_ERROR));
+    }
+    socket.once('close', () => this._releaseRoute(route));
+    this._setIdleTimeout(socket, route);
 
-    let backend = new net.Socket();
+    this._spliceBackend(socket, route, host_header, buffer, () => {
+      socket.end(TlsHelloParser.alert(TlsHelloParser.ALERT_INTERNAL_ERROR));
+    });
+  }
 
-    backend.once('error', (err) => {
-      backend.destroy();
-      const status = 503;
-      if (this.callbacks[status]) {
-        this.callbacks[status](socket, host_header);
-      } else {
-        socket.end(this._httpResponse(status));
-      }
+  /**
+   * Splices a raw TCP connection to the backend of its route. It is tracked
+   * under the lowercased app name, see disconnectClients() and drain().
+   * @param {Object} socket
+   * @param {Object} route - Endpoint or EndpointPool to connect to
+   * @param {Buffer} buffer - Data received so far
+   */
+  _handleTcpConnection(socket, route, buffer) {
+    let client = socket[this.symClient];
+    let name = this._routeName(route).toLowerCase();
+    clearTimeout(client.timer);
+    if (client.inactive || this._draining(name, client)) {
+      return socket.destroy();
+    }
+    this._emit('route', client, { host: name, route: this._routeName(route) });
+    if (!this._acquireRoute(route)) {
+      this.metrics.increment('connections_rejected_total', { limit: 'maxConnections' });
+      return socket.destroy();
+    }
+    socket.once('close', () => this._releaseRoute(route));
+    this._setIdleTimeout(socket, route);
+    this._spliceBackend(socket, route, name, buffer, () => socket.destroy());
+  }
+
+  /**
+   * Decrypts a TLS connection and hands it over to the HTTP request
+   * pipeline, where each request is routed by its Host header
+   * @param {Object} socket
+   * @param {Buffer} buffer - Raw bytes received so far
+   * @param {Object} context - Default SecureContext
+   * @param {RouteTable} routes - To look up the contexts of other SNI names in
+   */
+  _terminateTls(socket, buffer, context, routes) {
+    socket.unshift(buffer);
+    let secure = new tls.TLSSocket(socket, {
+      isServer: true,
+      secureContext: context,
+      SNICallback: (servername, callback) => {
+        callback(null, routes.secureContext(servername) || context);
+      },
+      ALPNProtocols: this._setting('http2') ? ['h2', 'http/1.1'] : ['http/1.1']
+    });
+
+    secure[this.symClient] = Object.assign({}, socket[this.symClient], { encrypted: true });
+
+    secure.on('error', (err) => {
+      secure.destroy();
     });
 
-    backend.on('connect', () => {
+    secure.once('data', (chunk) => {
+      this._handleHttp(secure, chunk);
+    });
+  }
+
+  /**
+   * Connects frontend to a backend and pipes data both ways untouched
+   * @param {Object} socket
+   * @param {Object} route - Endpoint or EndpointPool to connect to
+   * @param {string} host_header
+   * @param {Buffer} buffer - Data already read from frontend
+   * @param {Function} onError - Called if no connection can be established
+   */
+  _spliceBackend(socket, route, host_header, buffer, onError) {
+    // Data arriving while connecting (or retrying) stays buffered, pipe() resumes
+    socket.pause();
+    let attempt = this._connectBackend(route, socket[this.symClient], (backend) => {
       this._addConnection(socket, host_header);
-      socket.on('error', () => { this._removeConnection(socket, backend) });
-      backend.on('close', () => { this._removeConnection(socket, backend) });
-      backend.write(this._makeBufferFromHttpMessage(this._handleRequestInterceptors(message)));
-      let handler = {
-        protocol: 'http'
+      socket.removeListener('close', abort);
+      socket.on('close', () => {
+        this._removeConnection(socket);
+        backend.destroy();
+      });
+      backend.on('close', () => socket.end());
+      backend.write(buffer);
+      socket.pipe(backend).pipe(socket);
+
+      let labels = { route: this._routeName(route) };
+      this.metrics.increment('received_bytes_total', labels, buffer.length);
+      socket.on('data', (chunk) => this.metrics.increment('received_bytes_total', labels, chunk.length));
+      backend.on('data', (chunk) => this.metrics.increment('sent_bytes_total', labels, chunk.length));
+    }, onError);
+
+    let abort = () => attempt.abort();
+    socket.on('close', abort);
+  }
+
+  /**
+   * Opens a backend connection for a route. With an EndpointPool a member
+   * is picked; members failing to connect are ejected and the connect is
+   * retried with exponential backoff, as configured for the pool.
+   * @param {Object} route - Endpoint or EndpointPool to connect to
+   * @param {Object} client - Address record of the frontend connection
+   * @param {Function} onConnect - Receives the connected backend socket and its endpoint
+   * @param {Function} onError - Called once all attempts have failed
+   * @return {Object} Attempt, call abort() to give up
+   */
+  _connectBackend(route, client, onConnect, onError) {
+    let pool = route instanceof EndpointPool ? route : null;
+    let clientAddress = client.address;
+    let proxyProtocol = this._routeEntry(route).proxyProtocol;
+    let attempt = {
+      backend: null,
+      tries: 0,
+      tried: [],
+      timer: null,
+      aborted: false,
+      abort: () => {
+        attempt.aborted = true;
+        clearTimeout(attempt.timer);
+        if (attempt.backend) {
+          attempt.backend.destroy();
+        }
       }
-      socket
-        .pipe(this._makeHttpParserStream('request', handler))
-        .pipe(backend)
-        .pipe(this._makeHttpParserStream('response', handler))
-        .pipe(socket);
-    });
+    };
+
+    let connect = () => {
+      let endpoint = route;
+      let member = null;
+      if (pool) {
+        member = pool.select(clientAddress, attempt.tried) || pool.select(clientAddress);
+        if (!member) {
+          return onError(new Error('No endpoint available'));
+        }
+        endpoint = member.endpoint;
+      }
+
+      let backend = attempt.backend = new net.Socket();
+      let connected = false;
+      let started = process.hrtime();
+      let labels = { route: this._routeName(route), backend: this._endpointName(endpoint) };
+
+      let connectTimeout = pool && pool.connectTimeout || this.options.connectTimeout;
+      if (connectTimeout) {
+        backend.setTimeout(connectTimeout, () => {
+          let err = new Error('Connect timeout');
+          err.code = 'ETIMEDOUT';
+          backend.destroy(err);
+        });
+      }
+
+      backend.once('connect', () => {
+        connected = true;
+        backend.setTimeout(0);
+        let time = process.hrtime(started);
+        this.metrics.observe('backend_connect_seconds', labels, time[0] + time[1] / 1e9);
+        this.metrics.add('backend_connections_active', labels, 1);
+        backend.once('close', () => this.metrics.add('backend_connections_active', labels, -1));
+        if (pool) {
+          pool.acquire(member);
+          backend.once('close', () => pool.release(member));
+        }
+        if (proxyProtocol) {
+          backend.write(ProxyProtocol.encode(proxyProtocol, {
+            sourceAddress: client.address,
+            sourcePort: client.port,
+            destAddress: client.localAddress,
+            destPort: client.localPort
+          }));
+        }
+        onConnect(backend, endpoint);
+      });
+
+      backend.on('error', (err) => {
+        backend.destroy();
+        if (!attempt.aborted) {
+          this._emit('backendError', client, { route: labels.route, backend: labels.backend, connected: connected, error: err });
+        }
+        if (connected || attempt.aborted) {
+          return;
+        }
+        this.metrics.increment('backend_connect_errors_total', labels);
+        if (!pool) {
+          return onError(err);
+        }
+        pool.eject(member);
+        attempt.tried.push(member);
+        if (attempt.tries < pool.retries) {
+          attempt.timer = setTimeout(connect, pool.retryDelay * Math.pow(2, attempt.tries));
+          attempt.tries++;
+        } else if (pool.fallbacks.indexOf(pool.select(clientAddress, attempt.tried)) != -1) {
+          // Fallbacks are always tried once the retries are used up
+          connect();
+        } else {
+          onError(err);
+        }
+      });
+
+      backend.connect(endpoint);
+    };
 
-    backend.connect(route);
+    connect();
+    return attempt;
   }
 
-  _makeBufferFromHttpMessage(message) {
-    let lines = []
-    let httpVersion = 'HTTP/' + message.versionMajor + '.' + message.versionMinor
-    if (message.statusCode) {
-      lines.push(httpVersion + ' ' + message.statusCode + ' ' + message.statusMessage)
-    } else {
-      lines.push(message.method + ' ' + message.url + ' ' + httpVersion)
+  /**
+   * Routes a request parsed from frontend
+   * @param {Object} handler
+   * @param {Object} message
+   */
+  _handleRequest(handler, message) {
+    if (handler.closing) {
+      return;
     }
-    for (var headerKey in message.headers) {
-      lines.push(headerKey + ': ' + message.headers[headerKey])
+    let exchange = this._newExchange(handler, message);
+    handler.body = null;
+    if (message.upgrade) {
+      handler.protocol = message.headers.upgrade || 'tunnel';
+    }
+    if (!message.shouldKeepAlive) {
+      exchange.close = true;
+    }
+
+    if (handler.client.inactive || this._draining(exchange.host_header, handler.client)) {
+      return this._respondError(handler, exchange, 503, null);
+    }
+    let maxHeaderSize = this._setting('maxHeaderSize');
+    if (maxHeaderSize && this._headSize(message) > maxHeaderSize) {
+      return this._respondError(handler, exchange, 431, null);
+    }
+
+    let route = this.routeResolver(message, this._routesOf(handler.client));
+    if (!route) {
+      this._emit('routeMiss', handler.client, this._requestContext(exchange));
+      return this._respondError(handler, exchange, 404, null);
+    }
+    exchange.route = route;
+    this._emit('route', handler.client, this._requestContext(exchange));
+    this.metrics.increment('requests_total', { route: this._routeName(route) });
+    this._addForwardedHeaders(handler, message, this._routeEntry(route));
+
+    let retryAfter = this._rateLimit(handler, message, route);
+    if (retryAfter) {
+      this.metrics.increment('requests_limited_total', { route: this._routeName(route), limit: 'rateLimit' });
+      return this._respondError(handler, exchange, 429, route, { 'Retry-After': String(Math.ceil(retryAfter)) });
+    }
+
+    let pending = true;
+    let proceed = () => {
+      pending = false;
+      if (handler.held) {
+        this._releaseEvents(handler, handler.socket);
+      }
+    };
+    this._runInterceptors(this.requestInterceptors, message, (err, response) => {
+      if (handler.closing) {
+        pending = false;
+        return;
+      }
+      if (err) {
+        this._respondError(handler, exchange, 500, route);
+      } else if (response) {
+        this._recordResponse(exchange, route, response.status, false);
+        this._interceptedResponse(handler, exchange, response);
+      } else {
+        // May wait for the disk cache or a backend connection, like a pending interceptor
+        return this._lookupCache(handler, exchange, route, proceed);
+      }
+      proceed();
+    });
+    if (pending) {
+      this._holdEvents(handler, handler.socket);
+    }
+  }
+
+  /**
+   * Takes a token from the proxy-wide and the app's rate limit
+   * @param {Object} handler
+   * @param {Object} message
+   * @param {Object} route
+   * @return {number} 0 if the request may pass, otherwise seconds until it would
+   */
+  _rateLimit(handler, message, route) {
+    for (let limiter of [this.rateLimiter, this._routeRateLimiter(route)]) {
+      let wait = limiter ? limiter.take(limiter.keyOf(message, handler.client)) : 0;
+      if (wait) {
+        return wait;
+      }
+    }
+    return 0;
+  }
+
+  /**
+   * Returns the rate limit of an app, null if it has none
+   * @param {Object} route
+   * @return {RateLimiter}
+   */
+  _routeRateLimiter(route) {
+    let settings = this._routeEntry(route).rateLimit;
+    let key = this._limitKey(route);
+    let limiter = this.rateLimiters.get(key);
+    if (settings && (!limiter || !RateLimiter.same(limiter.settings, settings))) {
+      limiter = new RateLimiter(settings);
+      this.rateLimiters.set(key, limiter);
+    }
+    return settings ? limiter : null;
+  }
+
+  /**
+   * Forwards a request once a backend connection of its route is available
+   * (see maxConnections); otherwise it waits in the route's queue. Requests
+   * beyond queueSize, or waiting longer than queueTimeout, get a 429.
+   * @param {Object} handler
+   * @param {Object} exchange
+   * @param {Object} route
+   * @param {Function} callback - Called once the request is forwarded or answered
+   */
+  _admitRequest(handler, exchange, route, callback) {
+    let forward = () => {
+      handler.waiter = null;
+      this._forwardRequest(handler, exchange, route);
+      callback();
+    };
+    let link = handler.link;
+    if (link && link.route === route || this._acquireRoute(route)) {
+      return forward();
+    }
+
+    let entry = this._routeEntry(route);
+    let queue = this.routeQueues.get(this._limitKey(route)) || [];
+    let reject = () => {
+      handler.waiter = null;
+      this.metrics.increment('requests_limited_total', { route: this._routeName(route), limit: 'maxConnections' });
+      let retryAfter = String(Math.ceil((entry.queueTimeout || 0) / 1000) || 1);
+      this._respondError(handler, exchange, 429, route, { 'Retry-After': retryAfter });
+      callback();
+    };
+    if (queue.length >= (entry.queueSize || 0)) {
+      return reject();
+    }
+    let waiter = handler.waiter = { route: route, forward: forward, timer: null };
+    if (entry.queueTimeout) {
+      waiter.timer = setTimeout(() => {
+        this._dequeue(waiter);
+        reject();
+      }, entry.queueTimeout);
+    }
+    queue.push(waiter);
+    this.routeQueues.set(this._limitKey(route), queue);
+  }
+
+  /**
+   * Removes a request from its route's queue
+   * @param {Object} waiter
+   */
+  _dequeue(waiter) {
+    let key = this._limitKey(waiter.route);
+    let queue = this.routeQueues.get(key) || [];
+    let index = queue.indexOf(waiter);
+    if (index != -1) {
+      queue.splice(index, 1);
+    }
+    if (!queue.length) {
+      this.routeQueues.delete(key);
+    }
+  }
+
+  /**
+   * Answers a GET or HEAD request from the cache if the app has one and a
+   * response is stored, otherwise forwards it (see _admitRequest()). Stale
+   * responses are served while they are revalidated in the background.
+   * Other methods remove what is stored for the URL.
+   * @param {Object} handler
+   * @param {Object} exchange
+   * @param {Object} route
+   * @param {Function} callback - Called once the request has been answered or forwarded
+   */
+  _lookupCache(handler, exchange, route, callback) {
+    let request = exchange.request;
+    let forward = () => this._admitRequest(handler, exchange, route, callback);
+    if (!this.cache || !this._cacheSettings(route)) {
+      return forward();
+    }
+    let key = this._cacheKey(handler, exchange, route);
+    let labels = { route: this._routeName(route) };
+    if (request.method != 'GET' && request.method != 'HEAD') {
+      this.cache.delete(key);
+      return forward();
+    }
+    if (ResponseCache.bypass(request)) {
+      exchange.cache = 'BYPASS';
+      this.metrics.increment('cache_requests_total', Object.assign({ result: 'bypass' }, labels));
+      return forward();
+    }
+    exchange.cacheKey = key;
+    let entry = ResponseCache.reload(request) ? null : this.cache.get(key, request);
+    let state = entry ? ResponseCache.state(entry) : null;
+    if (!state) {
+      exchange.cache = 'MISS';
+      this.metrics.increment('cache_requests_total', Object.assign({ result: 'miss' }, labels));
+      return forward();
+    }
+    if (state == 'stale') {
+      this._revalidate(handler.client, route, request, entry);
+    }
+    this.cache.load(entry, (body) => {
+      if (handler.closing) {
+        return callback();
+      }
+      if (!body) {
+        exchange.cache = 'MISS';
+        this.metrics.increment('cache_requests_total', Object.assign({ result: 'miss' }, labels));
+        return forward();
+      }
+      exchange.cache = state == 'stale' ? 'STALE' : 'HIT';
+      this.metrics.increment('cache_requests_total', Object.assign({ result: state == 'stale' ? 'stale' : 'hit' }, labels));
+      this._serveCached(handler, exchange, route, entry, body);
+      callback();
+    });
+  }
+
+  /**
+   * Returns the cache settings of an app, null if it has no cache
+   * @param {Object} route
+   * @return {Object|null}
+   */
+  _cacheSettings(route) {
+    let cache = this._routeEntry(route).cache;
+    if (!cache) {
+      return null;
+    }
+    return cache === true ? {} : cache;
+  }
+
+  /**
+   * @param {Object} handler
+   * @param {Object} exchange
+   * @param {Object} route
+   * @return {string} What a response is stored under
+   */
+  _cacheKey(handler, exchange, route) {
+    let scheme = handler.client.encrypted ? 'https' : 'http';
+    return [this._routeName(route), scheme, exchange.host_header, exchange.request.url].join(' ');
+  }
+
+  /**
+   * Answers a request with a stored response, or a 304 if the client's
+   * copy is still valid
+   * @param {Object} handler
+   * @param {Object} exchange
+   * @param {Object} route
+   * @param {Object} entry
+   * @param {Buffer} body
+   */
+  _serveCached(handler, exchange, route, entry, body) {
+    let request = exchange.request;
+    let notModified = ResponseCache.notModified(request, entry);
+    let status = notModified ? 304 : entry.status;
+    let headers = notModified ? ResponseCache.notModifiedHeaders(entry) : new HttpHeaders();
+    if (!notModified) {
+      headers.fields = entry.headers.fields.slice();
+      if (status != 204) {
+        headers.set('Content-Length', String(body.length));
+      }
+    }
+    if (handler.protocol != 'http') {
+      exchange.close = true;
+    }
+    headers.set('Age', String(Math.floor(ResponseCache.age(entry))));
+    headers.set('Connection', exchange.close ? 'close' : 'keep-alive');
+    let head = this._makeBufferFromHttpMessage({
+      versionMajor: 1,
+      versionMinor: 1,
+      statusCode: status,
+      statusMessage: notModified ? 'Not Modified' : entry.statusMessage,
+      headers: headers.view,
+      headerList: headers
+    });
+    this._recordResponse(exchange, route, status, false);
+    exchange.headBytes += head.length;
+    exchange.output.push(notModified || request.method == 'HEAD' ? head : Buffer.concat([head, body]));
+    exchange.complete = true;
+    this._flushExchanges(handler);
+  }
+
+  /**
+   * Stores a response once its body has been sent, if it is cacheable.
+   * Returns the capture function for its MessageBody.
+   * @param {Object} exchange
+   * @param {Object} route
+   * @param {Object} message - Parsed response
+   * @param {boolean} transformed - Whether body interceptors change the body
+   * @return {Function|null}
+   */
+  _cacheResponse(exchange, route, message, transformed) {
+    let request = exchange.request;
+    let policy = exchange.cacheKey ? ResponseCache.policy(request, message, this._cacheSettings(route)) : null;
+    if (!policy) {
+      return null;
+    }
+    let chunks = [];
+    let size = 0;
+    let expected = transformed ? NaN : parseInt(message.headers['content-length'], 10);
+    exchange.store = () => {
+      if (size > this.cache.maxObjectSize || !isNaN(expected) && expected != size) {
+        return;
+      }
+      let entry = ResponseCache.entry(exchange.host_header, request, message, Buffer.concat(chunks), policy);
+      entry.transformed = transformed;
+      this.cache.set(exchange.cacheKey, request, entry);
+    };
+    return (data) => {
+      size += data.length;
+      if (size <= this.cache.maxObjectSize) {
+        chunks.push(data);
+      }
+    };
+  }
+
+  /**
+   * Asks the backend whether a stale response is still valid, with its
+   * validators (If-None-Match, If-Modified-Since), and updates the cache.
+   * The client has been answered with the stale response meanwhile.
+   * @param {Object} client - Address record of the connection that asked for it
+   * @param {Object} route
+   * @param {Object} request
+   * @param {Object} entry
+   */
+  _revalidate(client, route, request, entry) {
+    if (entry.revalidating || !this._acquireRoute(route)) {
+      return;
+    }
+    entry.revalidating = true;
+    let done = () => {
+      entry.revalidating = false;
+      this._releaseRoute(route);
+    };
+    let headers = HttpHeaders.from(request.headers);
+    for (let name of ['if-none-match', 'if-modified-since', 'if-match', 'if-unmodified-since', 'if-range', 'range',
+      'cache-control', 'pragma', 'connection', 'keep-alive', 'upgrade', 'te', 'expect', 'content-length', 'transfer-encoding']) {
+      headers.remove(name);
+    }
+    if (entry.headers.has('etag')) {
+      headers.set('If-None-Match', entry.headers.get('etag'));
+    }
+    if (entry.headers.has('last-modified')) {
+      headers.set('If-Modified-Since', entry.headers.get('last-modified'));
+    }
+    headers.set('Connection', 'close');
+    let head = this._makeBufferFromHttpMessage({
+      versionMajor: 1,
+      versionMinor: 1,
+      method: 'GET',
+      url: request.url,
+      headers: headers.view,
+      headerList: headers
+    });
+
+    this._connectBackend(route, client, (backend) => {
+      let parser = new HttpMessageParser('response');
+      let response = null;
+      let chunks = [];
+      let size = 0;
+      let requestTimeout = this._setting('requestTimeout', route);
+      if (requestTimeout) {
+        backend.setTimeout(requestTimeout, () => backend.destroy());
+      }
+      if (this._routeEntry(route).backendProtocol == 'h2c') {
+        backend = new Http2Backend(backend);
+      }
+      parser.expectResponse('GET');
+      parser.on('headers', (message) => response = message);
+      parser.on('body', (chunk, offset, length) => {
+        size += length;
+        if (size <= this.cache.maxObjectSize) {
+          chunks.push(chunk.slice(offset, offset + length));
+        }
+      });
+      parser.on('complete', () => {
+        if (size <= this.cache.maxObjectSize) {
+          this._refreshCache(route, request, entry, response, Buffer.concat(chunks));
+        }
+        backend.end();
+      });
+      backend.on('data', (chunk) => {
+        if (parser.execute(chunk, 0, chunk.length) instanceof Error) {
+          backend.destroy();
+        }
+      });
+      backend.on('error', () => backend.destroy());
+      backend.on('close', done);
+      backend.write(head);
+    }, done);
+  }
+
+  /**
+   * Updates the cache with the answer to a revalidation: a 304 renews the
+   * stored response, a new one replaces it - unless it would differ from
+   * what clients get through interceptors, then it is removed. After other
+   * errors than 5xx the stored response is removed as well.
+   * @param {Object} route
+   * @param {Object} request
+   * @param {Object} entry
+   * @param {Object} response - Parsed response
+   * @param {Buffer} body
+   */
+  _refreshCache(route, request, entry, response, body) {
+    let settings = this._cacheSettings(route);
+    if (!settings || response.statusCode >= 500) {
+      return;
+    }
+    if (response.statusCode == 304) {
+      let headers = ResponseCache.merge(entry.headers, response);
+      let policy = ResponseCache.policy(request, { statusCode: entry.status, headers: headers.view }, settings);
+      return policy ? this.cache.refresh(entry, headers, policy) : this.cache.remove(entry);
+    }
+    let policy = ResponseCache.policy(request, response, settings);
+    if (!policy || entry.transformed || this.responseInterceptors.length) {
+      return this.cache.remove(entry);
+    }
+    this.cache.set(entry.key, request, ResponseCache.entry(entry.host, request, response, body, policy));
+  }
+
+  /**
+   * Sends a request to the backend of its route
+   * @param {Object} handler
+   * @param {Object} exchange
+   * @param {Object} route
+   */
+  _forwardRequest(handler, exchange, route) {
+    let message = exchange.request;
+    let link = handler.link;
+    if (!link || link.route !== route) {
+      link = this._openLink(handler, route, exchange.host_header);
+    }
+    exchange.link = link;
+    this._setTimer(exchange, this._setting('requestTimeout', route), () => this._timeoutExchange(handler, exchange));
+    link.exchanges.push(exchange);
+    link.parser.expectResponse(message.method);
+    if (!link.attempt) {
+      this._connectLink(handler, link);
+    }
+
+    let hasBody = MessageBody.hasBody(message);
+    let mirrors = [];
+    let body = new MessageBody(message, {
+      streams: hasBody ? this._bodyStreams(this.requestBodyInterceptors, message, route) : [],
+      hasBody: hasBody,
+      buffer: message.versionMajor == 1 && message.versionMinor == 0,
+      serialize: () => this._makeBufferFromHttpMessage(message),
+      write: (data) => this._writeRequestData(handler, data, exchange),
+      capture: (data) => {
+        for (let mirror of mirrors) {
+          mirror.write(data);
+        }
+      },
+      previous: handler.pending
+    });
+    // The head is copied as it is sent, after the body streams have set the framing
+    mirrors = this._mirrorRequest(message, route, hasBody);
+    if (mirrors.length) {
+      body.once('finish', () => mirrors.forEach((mirror) => mirror.end()));
+    }
+    body.on('drain', () => handler.socket.resume());
+    body.on('error', () => handler.socket.destroy());
+    handler.body = body;
+    handler.pending = body;
+  }
+
+  /**
+   * Starts copies of a request to the mirrors of its route, each one
+   * sampled by its percent. Tunnels (Upgrade, CONNECT) are not mirrored.
+   * @param {Object} message
+   * @param {Object} route
+   * @param {boolean} hasBody
+   * @return {Array} RequestMirror
+   */
+  _mirrorRequest(message, route, hasBody) {
+    let mirror = this._routeEntry(route).mirror;
+    if (!mirror || message.upgrade || message.method == 'CONNECT') {
+      return [];
+    }
+    let targets = [].concat(mirror).filter((target) => Math.random() * 100 < (target.percent === undefined ? 100 : target.percent));
+    if (!targets.length) {
+      return [];
+    }
+    let headers = HttpHeaders.from(message.headers);
+    let chunked = hasBody && (MessageBody.isChunked(message) || message.headers['content-length'] === undefined);
+    for (let name of ['connection', 'keep-alive', 'proxy-connection', 'expect', 'transfer-encoding']) {
+      headers.remove(name);
+    }
+    if (chunked) {
+      headers.set('Transfer-Encoding', 'chunked');
+    }
+    headers.set('Connection', 'close');
+    let head = this._makeBufferFromHttpMessage({
+      versionMajor: 1,
+      versionMinor: 1,
+      method: message.method,
+      url: message.url,
+      headers: headers.view,
+      headerList: headers
+    });
+    let name = this._routeName(route);
+    return targets.map((target) => {
+      let endpoint = target.endpoint.path ? Object.assign({}, target.endpoint, { path: xpipe.eq(target.endpoint.path) }) : target.endpoint;
+      return new RequestMirror(endpoint, head, {
+        chunked: chunked,
+        timeout: target.timeout,
+        onClose: (answered) => this.metrics.increment('mirror_requests_total', { route: name, result: answered ? 'ok' : 'error' })
+      });
+    });
+  }
+
+  /**
+   * Gives up on a request that has not been answered within its
+   * requestTimeout: 504 if no response has arrived yet, otherwise the
+   * response is cut off
+   * @param {Object} handler
+   * @param {Object} exchange
+   */
+  _timeoutExchange(handler, exchange) {
+    if (handler.closing || exchange.complete) {
+      return;
+    }
+    this.metrics.increment('timeouts_total', { timeout: 'request' });
+    let link = exchange.link;
+    // Pipelined requests before it share the backend connection, which is
+    // closed: they are answered with 504 as well, or cut off
+    let earlier = link.exchanges.slice(0, Math.max(link.exchanges.indexOf(exchange), 0));
+    if (exchange.response || earlier.some((item) => item.response)) {
+      return handler.socket.destroy();
+    }
+    for (let item of earlier.concat(exchange)) {
+      clearTimeout(item.timer);
+      this._respondError(handler, item, 504, item.route);
+    }
+    link.attempt.abort();
+  }
+
+  /**
+   * Estimates the size of a request head as received
+   * @param {Object} message
+   * @return {number}
+   */
+  _headSize(message) {
+    let size = message.method.length + message.url.length + 12;
+    for (let field of message.headerList.fields) {
+      size += field[0].length + field[1].length + 4;
+    }
+    return size;
+  }
+
+  /**
+   * Answers a request with the response returned by an interceptor, the
+   * request body is discarded
+   * @param {Object} handler
+   * @param {Object} exchange
+   * @param {Object} response - { status, headers, body }
+   */
+  _interceptedResponse(handler, exchange, response) {
+    if (handler.protocol != 'http') {
+      exchange.close = true;
+    }
+    exchange.output.push(this._makeResponse(response, exchange.close, exchange));
+    exchange.complete = true;
+    this._flushExchanges(handler);
+  }
+
+  /**
+   * Runs interceptors one after another. An interceptor may return a
+   * Promise, which is waited for, and a response ({ status, headers, body })
+   * to answer the message itself, which skips the remaining interceptors.
+   * Synchronous interceptors are run synchronously.
+   * @param {Array} interceptors
+   * @param {Object} message
+   * @param {Function} callback - Called with (err, response)
+   */
+  _runInterceptors(interceptors, message, callback) {
+    let i = 0;
+    let next = (result) => {
+      while (true) {
+        if (result && typeof result.then == 'function') {
+          return result.then(next, (err) => callback(err || new Error('Interceptor failed')));
+        }
+        if (result && result.status) {
+          return callback(null, result);
+        }
+        if (i >= interceptors.length) {
+          return callback(null, null);
+        }
+        try {
+          result = interceptors[i++](message);
+        } catch (err) {
+          return callback(err);
+        }
+      }
+    };
+    next();
+  }
+
+  /**
+   * Defers the events of a connection while an async interceptor is pending
+   * @param {Object} holder - Handler or link
+   * @param {Object} socket - Socket to pause meanwhile
+   */
+  _holdEvents(holder, socket) {
+    holder.held = holder.held || [];
+    socket.pause();
+  }
+
+  /**
+   * Replays deferred events until an interceptor is pending again
+   * @param {Object} holder - Handler or link
+   * @param {Object} socket
+   */
+  _releaseEvents(holder, socket) {
+    let held = holder.held;
+    holder.held = null;
+    while (held.length) {
+      held.shift()();
+      if (holder.held) {
+        holder.held = held.concat(holder.held);
+        return;
+      }
+    }
+    socket.resume();
+  }
+
+  /**
+   * Runs an event handler, or defers it while an interceptor is pending
+   * @param {Object} holder - Handler or link
+   * @param {Function} fn
+   */
+  _handleEvent(holder, fn) {
+    if (holder.held) {
+      return holder.held.push(fn);
+    }
+    fn();
+  }
+
+  /**
+   * Creates the streams of the body interceptors for a message
+   * @param {Array} interceptors
+   * @param {Object} message
+   * @param {Object} route
+   * @return {Array}
+   */
+  _bodyStreams(interceptors, message, route) {
+    let name = this._routeEntry(route).name;
+    let streams = [];
+    for (let interceptor of interceptors) {
+      if (interceptor.name !== undefined && interceptor.name !== name) {
+        continue;
+      }
+      let stream = interceptor.fn(message);
+      if (stream) {
+        streams.push(stream);
+      }
+    }
+    return streams;
+  }
+
+  /**
+   * Adds X-Forwarded-*, X-Real-IP and Forwarded (RFC 7239) headers as set
+   * in the forwardedHeaders option, which a route can override. 'append'
+   * (or true) adds this hop to list headers and keeps single value headers
+   * set by a trusted proxy in front; 'replace' drops what the client sent.
+   * @param {Object} handler
+   * @param {Object} message
+   * @param {Object} entry - Config entry of the route
+   */
+  _addForwardedHeaders(handler, message, entry) {
+    let settings = Object.assign({}, this.options.forwardedHeaders, entry.forwardedHeaders);
+    let client = handler.client;
+    let proto = client.encrypted ? 'https' : 'http';
+    let host = message.headers.host;
+    let values = {
+      'x-forwarded-for': client.address,
+      'x-forwarded-proto': proto,
+      'x-forwarded-host': host,
+      'x-real-ip': client.address,
+      'forwarded': this._forwardedElement(client.address, host, proto)
+    };
+
+    for (let name of Object.keys(values)) {
+      let mode = settings[name];
+      let current = message.headers[name];
+      if (!mode || values[name] === undefined) {
+        continue;
+      }
+      if (mode === 'replace' || current === undefined) {
+        message.headers[name] = values[name];
+      } else if (name == 'x-forwarded-for' || name == 'forwarded') {
+        message.headers[name] = current + ', ' + values[name];
+      }
+    }
+  }
+
+  /**
+   * Builds a Forwarded header element (RFC 7239)
+   * @param {string} address
+   * @param {string} host
+   * @param {string} proto
+   * @return {string}
+   */
+  _forwardedElement(address, host, proto) {
+    let quote = (value) => /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/.test(value) ? value : '"' + value.replace(/(["\\])/g, '\\$1') + '"';
+    let parts = ['for=' + quote(net.isIPv6(address) ? '[' + address + ']' : address || 'unknown')];
+    if (host) {
+      parts.push('host=' + quote(host));
+    }
+    parts.push('proto=' + proto);
+    return parts.join(';');
+  }
+
+  /**
+   * Records the status of a response to a client, for metrics and the access log
+   * @param {Object} exchange - null if there is no request
+   * @param {Object} route - null if no route matched
+   * @param {number} status
+   * @param {boolean} generated - Whether the proxy generated it as an error
+   */
+  _recordResponse(exchange, route, status, generated) {
+    if (exchange) {
+      exchange.status = status;
+    }
+    let name = route ? this._routeName(route) : '';
+    this.metrics.increment('responses_total', { route: name, code: Math.floor(status / 100) + 'xx' });
+    if (generated) {
+      this.metrics.increment('errors_total', { route: name, status: String(status) });
+    }
+  }
+
+  /**
+   * Emits a lifecycle event on server.events. All events carry the same
+   * context: connection id, client address and port, whether TLS was
+   * terminated and the time, plus details of the event.
+   * @param {string} name
+   * @param {Object} client - Address record of the frontend connection
+   * @param {Object} details
+   */
+  _emit(name, client, details = {}) {
+    if (!this.events.listenerCount(name)) {
+      return;
+    }
+    this.events.emit(name, Object.assign({
+      id: client.id,
+      client: client.address,
+      port: client.port,
+      encrypted: client.encrypted,
+      time: new Date()
+    }, details));
+  }
+
+  /**
+   * Returns the event details of a request
+   * @param {Object} exchange
+   * @return {Object}
+   */
+  _requestContext(exchange) {
+    let request = exchange.request || {};
+    return {
+      host: exchange.host_header,
+      method: request.method,
+      url: request.url,
+      route: exchange.route ? this._routeName(exchange.route) : null,
+      request: exchange.request
+    };
+  }
+
+  /**
+   * Writes the access log record of a request
+   * @param {Object} handler
+   * @param {Object} exchange
+   */
+  _logExchange(handler, exchange) {
+    if (!this.accessLog) {
+      return;
+    }
+    let request = exchange.request || { headers: {} };
+    let endpoint = exchange.link && exchange.link.endpoint;
+    this.accessLog.log({
+      time: exchange.time,
+      client: handler.client.address,
+      host: exchange.host_header,
+      method: request.method,
+      url: request.url,
+      httpVersion: request.method ? this._httpVersion(handler, request) : undefined,
+      route: exchange.route ? this._routeName(exchange.route) : null,
+      backend: endpoint ? this._endpointName(endpoint) : null,
+      status: exchange.status,
+      bytes: exchange.bytes,
+      bodyBytes: Math.max(exchange.bytes - exchange.headBytes, 0),
+      duration: Date.now() - exchange.time.getTime(),
+      cache: exchange.cache,
+      referer: request.headers.referer,
+      userAgent: request.headers['user-agent']
+    });
+  }
+
+  /**
+   * Returns the HTTP version a request was received with
+   * @param {Object} handler
+   * @param {Object} request
+   * @return {string}
+   */
+  _httpVersion(handler, request) {
+    if (handler.socket instanceof Http2Frontend) {
+      return '2.0';
+    }
+    return request.versionMajor + '.' + request.versionMinor;
+  }
+
+  /**
+   * Returns the name a route is reported by in metrics: the app name, or
+   * the endpoint for routes returned by a custom route resolver
+   * @param {Object} route
+   * @return {string}
+   */
+  _routeName(route) {
+    let entry = this._routeEntry(route);
+    if (entry.name) {
+      return entry.name;
+    }
+    return route instanceof EndpointPool ? 'pool' : this._endpointName(route);
+  }
+
+  /**
+   * @param {Object} endpoint - { host, port } or { path }
+   * @return {string}
+   */
+  _endpointName(endpoint) {
+    return endpoint.path || (endpoint.host || 'localhost') + ':' + endpoint.port;
+  }
+
+  /**
+   * Returns the config entry of a route, empty for routes
+   * returned by a custom route resolver
+   * @param {Object} route
+   * @return {Object}
+   */
+  _routeEntry(route) {
+    return this.routes.entryOf(route) || {};
+  }
+
+  /**
+   * Creates the record of a request awaiting its response
+   * @param {Object} handler
+   * @param {Object} message - Parsed request, null if unparsable
+   * @return {Object}
+   */
+  _newExchange(handler, message) {
+    let exchange = {
+      request: message,
+      host_header: message ? this._getHostname(message) : '',
+      link: null,
+      route: null,
+      response: null,
+      status: 0,
+      output: [],
+      bytes: 0,
+      headBytes: 0,
+      complete: false,
+      close: false,
+      handover: null,
+      cache: null,
+      cacheKey: null,
+      store: null,
+      timer: null,
+      time: new Date()
+    };
+    handler.exchanges.push(exchange);
+    handler.exchange = exchange;
+    return exchange;
+  }
+
+  /**
+   * Writes request data to the backend of a request
+   * @param {Object} handler
+   * @param {Buffer} data
+   * @param {Object} exchange - Defaults to the current request
+   */
+  _writeRequestData(handler, data, exchange = handler.exchange) {
+    if (handler.closing || !exchange || !exchange.link) {
+      return;
+    }
+    let link = exchange.link;
+    this.metrics.increment('received_bytes_total', { route: this._routeName(link.route) }, data.length);
+    if (!link.connected) {
+      link.queue.push(data);
+      return handler.socket.pause();
+    }
+    if (!link.backend.write(data) && !link.draining) {
+      link.draining = true;
+      handler.socket.pause();
+      link.backend.once('drain', () => {
+        link.draining = false;
+        handler.socket.resume();
+      });
+    }
+  }
+
+  /**
+   * Creates a backend connection ("link") for a route. A frontend connection
+   * keeps one link per route switch, in the order the requests came in.
+   * @param {Object} handler
+   * @param {Object} route - Endpoint or EndpointPool to connect to
+   * @param {string} host_header
+   * @return {Object}
+   */
+  _openLink(handler, route, host_header) {
+    let link = {
+      route: route,
+      host_header: host_header,
+      backend: null,
+      endpoint: null,
+      attempt: null,
+      parser: new HttpMessageParser('response'),
+      exchanges: [],
+      body: null,
+      held: null,
+      queue: [],
+      connected: false,
+      draining: false,
+      tunnel: false,
+      invalid: false,
+      counted: true
+    };
+
+    let previous = handler.link;
+    handler.link = link;
+    handler.links.add(link);
+    this._setIdleTimeout(handler.socket, route);
+    if (previous && !previous.exchanges.length) {
+      previous.backend.end();
+    }
+
+    link.parser.on('headers', (response) => {
+      this._handleEvent(link, () => this._handleResponse(handler, link, response));
+    });
+
+    link.parser.on('body', (chunk, offset, length) => {
+      let data = chunk.slice(offset, offset + length);
+      this._handleEvent(link, () => {
+        if (link.body && !link.body.write(data)) {
+          link.backend.pause();
+        }
+      });
+    });
+
+    link.parser.on('complete', () => {
+      this._handleEvent(link, () => this._completeResponse(handler, link));
+    });
+
+    return link;
+  }
+
+  /**
+   * Connects a link to its route. Data written in the meantime is queued,
+   * so a failed connect can be retried without loss.
+   * @param {Object} handler
+   * @param {Object} link
+   */
+  _connectLink(handler, link) {
+    link.attempt = this._connectBackend(link.route, handler.client, (backend, endpoint) => {
+      link.backend = backend;
+      link.endpoint = endpoint;
+      link.connected = true;
+      this._trackConnection(handler.socket, link.host_header);
+      if (this._routeEntry(link.route).backendProtocol == 'h2c') {
+        backend = link.backend = new Http2Backend(backend);
+      }
+
+      backend.on('data', (chunk) => this._handleResponseData(handler, link, chunk));
+      backend.on('error', (err) => backend.destroy());
+      backend.on('close', () => this._handleEvent(link, () => this._closeLink(handler, link)));
+
+      for (let data of link.queue) {
+        backend.write(data);
+      }
+      link.queue = [];
+      handler.socket.resume();
+    }, (err) => {
+      this._failLink(handler, link, err.code == 'ETIMEDOUT' ? 504 : 503);
+      this._closeLink(handler, link);
+    });
+  }
+
+  /**
+   * Feeds backend data to the response parser, or passes it through
+   * once the connection has been upgraded
+   * @param {Object} handler
+   * @param {Object} link
+   * @param {Buffer} chunk
+   */
+  _handleResponseData(handler, link, chunk) {
+    if (link.tunnel) {
+      return this._handleEvent(link, () => this._writeResponseData(handler, link, chunk));
+    }
+    if (link.invalid) {
+      return;
+    }
+    let ret = link.parser.execute(chunk, 0, chunk.length);
+    if (ret instanceof Error) {
+      link.invalid = true;
+      return this._handleEvent(link, () => this._invalidResponse(handler, link));
+    }
+    if (link.tunnel && ret < chunk.length) {
+      this._handleEvent(link, () => this._writeResponseData(handler, link, chunk.slice(ret)));
+    }
+  }
+
+  /**
+   * Gives up on a backend that sent something other than HTTP: closing the
+   * link answers the request with 502, unless part of its response has been
+   * sent already - the client connection is closed then
+   * @param {Object} handler
+   * @param {Object} link
+   */
+  _invalidResponse(handler, link) {
+    let exchange = link.exchanges[0];
+    if (exchange && (exchange.response || exchange.bytes || exchange.output.length)) {
+      handler.socket.destroy();
+    }
+    link.backend.destroy();
+  }
+
+  /**
+   * Handles a response head parsed from backend
+   * @param {Object} handler
+   * @param {Object} link
+   * @param {Object} message
+   */
+  _handleResponse(handler, link, message) {
+    let exchange = link.exchanges[0];
+    if (!exchange) {
+      return link.backend.destroy();
+    }
+    let interim = message.statusCode < 200 && message.statusCode != 101;
+    if (!interim) {
+      exchange.response = message;
+      if (!message.shouldKeepAlive) {
+        exchange.close = true;
+      }
+      let connected = message.requestMethod == 'CONNECT' && message.statusCode < 300;
+      if (message.statusCode == 101 || connected) {
+        link.tunnel = true;
+        handler.protocol = message.headers.upgrade || 'tunnel';
+      } else if (this._draining(exchange.host_header, handler.client)) {
+        exchange.close = true;
+        message.headers.connection = 'close';
+      }
+    }
+
+    let pending = true;
+    this._runInterceptors(this.responseInterceptors, message, (err, response) => {
+      pending = false;
+      if (err) {
+        response = this._errorPage(500, link.route, exchange);
+      }
+      if (!interim) {
+        this._recordResponse(exchange, link.route, response ? response.status : message.statusCode, !!err);
+      }
+      this._sendResponse(handler, link, exchange, message, interim ? null : response);
+      if (link.held) {
+        this._releaseEvents(link, link.backend);
+      }
+    });
+    if (pending) {
+      this._holdEvents(link, link.backend);
+    }
+  }
+
+  /**
+   * Passes a response on to frontend, or the response an interceptor
+   * replaced it with (the backend's body is then discarded)
+   * @param {Object} handler
+   * @param {Object} link
+   * @param {Object} exchange
+   * @param {Object} message
+   * @param {Object} replacement - { status, headers, body }, optional
+   */
+  _sendResponse(handler, link, exchange, message, replacement) {
+    if (replacement && link.tunnel) {
+      link.exchanges.shift();
+      link.backend.destroy();
+      return this._interceptedResponse(handler, exchange, replacement);
+    }
+    if (exchange.response === message && link.tunnel) {
+      // A tunnel is open as long as both sides want, requestTimeout ends here
+      clearTimeout(exchange.timer);
+      this._emit('upgrade', handler.client, Object.assign(this._requestContext(exchange), {
+        backend: this._endpointName(link.endpoint),
+        protocol: message.statusCode == 101 ? message.headers.upgrade : 'tunnel'
+      }));
+    }
+    if (exchange.response !== message || link.tunnel) {
+      return this._writeExchangeData(handler, link, exchange, this._countHead(exchange, this._makeBufferFromHttpMessage(message)));
+    }
+
+    let request = exchange.request;
+    let hasBody = !replacement && MessageBody.hasBody(message);
+    let streams = hasBody ? this._bodyStreams(this.responseBodyInterceptors, message, link.route) : [];
+    let body = new MessageBody(message, {
+      streams: streams,
+      hasBody: hasBody,
+      capture: replacement ? null : this._cacheResponse(exchange, link.route, message, streams.length > 0),
+      buffer: request.versionMajor == 1 && request.versionMinor == 0,
+      serialize: () => {
+        if (replacement) {
+          return this._makeResponse(replacement, exchange.close, exchange);
+        }
+        return this._countHead(exchange, this._makeBufferFromHttpMessage(message));
+      },
+      write: (data) => this._writeExchangeData(handler, link, exchange, data)
+    });
+    body.on('drain', () => link.backend.resume());
+    body.on('error', () => handler.socket.destroy());
+    body.on('finish', () => {
+      exchange.complete = true;
+      if (exchange.store) {
+        exchange.store();
+      }
+      this._flushExchanges(handler);
+    });
+    link.body = body;
+  }
+
+  /**
+   * Writes response data to frontend if its request is the oldest one
+   * pending, otherwise buffers it and pauses the backend
+   * @param {Object} handler
+   * @param {Object} link
+   * @param {Buffer} data
+   */
+  _writeResponseData(handler, link, data) {
+    let exchange = link.exchanges[0];
+    if (!exchange) {
+      return;
+    }
+    this._writeExchangeData(handler, link, exchange, data);
+  }
+
+  /**
+   * Writes response data of a request, see _writeResponseData()
+   * @param {Object} handler
+   * @param {Object} link
+   * @param {Object} exchange
+   * @param {Buffer} data
+   */
+  _writeExchangeData(handler, link, exchange, data) {
+    this.metrics.increment('sent_bytes_total', { route: this._routeName(link.route) }, data.length);
+    if (handler.exchanges[0] !== exchange) {
+      exchange.output.push(data);
+      return link.backend.pause();
+    }
+    exchange.bytes += data.length;
+    if (!handler.socket.write(data)) {
+      handler.congested = true;
+      link.backend.pause();
+    }
+  }
+
+  /**
+   * Handles the end of a response from backend
+   * @param {Object} handler
+   * @param {Object} link
+   */
+  _completeResponse(handler, link) {
+    let exchange = link.exchanges[0];
+    if (!exchange || !exchange.response || link.tunnel) {
+      return;
+    }
+    link.exchanges.shift();
+    if (!link.exchanges.length && link !== handler.link) {
+      link.backend.end();
+    }
+    let body = link.body;
+    link.body = null;
+    body.end();
+  }
+
+  /**
+   * Writes finished and buffered responses to frontend, in request order
+   * @param {Object} handler
+   */
+  _flushExchanges(handler) {
+    let socket = handler.socket;
+    while (handler.exchanges.length) {
+      let exchange = handler.exchanges[0];
+      if (exchange.handover) {
+        clearTimeout(exchange.timer);
+        handler.closing = true;
+        handler.exchanges = [];
+        this._logExchange(handler, exchange);
+        return exchange.handover();
+      }
+      for (let chunk of exchange.output) {
+        exchange.bytes += chunk.length;
+        if (!socket.write(chunk)) {
+          handler.congested = true;
+        }
+      }
+      exchange.output = [];
+      if (!exchange.complete) {
+        break;
+      }
+      handler.exchanges.shift();
+      clearTimeout(exchange.timer);
+      this._logExchange(handler, exchange);
+      if (exchange.close) {
+        handler.closing = true;
+        handler.exchanges = [];
+        return socket.end();
+      }
+    }
+    if (this._draining(socket[this.symHostHeader], handler.client)) {
+      this._closeIdle(handler);
+    }
+    this._resumeLinks(handler);
+  }
+
+  /**
+   * Closes a keep-alive connection that has no request in progress
+   * @param {Object} handler
+   */
+  _closeIdle(handler) {
+    if (handler.protocol == 'http' && !handler.exchanges.length && !handler.headBytes && !handler.closing) {
+      handler.closing = true;
+      handler.socket.end();
+    }
+  }
+
+  /**
+   * Resumes the backend whose response is due next
+   * @param {Object} handler
+   */
+  _resumeLinks(handler) {
+    if (handler.congested) {
+      return;
+    }
+    let head = handler.exchanges[0];
+    for (let link of handler.links) {
+      if (!link.backend) {
+        continue;
+      }
+      if (!link.exchanges.length || link.exchanges[0] === head) {
+        link.backend.resume();
+      }
+    }
+  }
+
+  /**
+   * Answers a request from the proxy itself and closes the connection
+   * after all prior responses have been sent
+   * @param {Object} handler
+   * @param {Object} exchange
+   * @param {string} data
+   */
+  _respond(handler, exchange, data) {
+    exchange.output.push(data);
+    exchange.complete = true;
+    exchange.close = true;
+    handler.closing = true;
+    this._flushExchanges(handler);
+  }
+
+  /**
+   * Answers all requests waiting for a link that could not be established
+   * @param {Object} handler
+   * @param {Object} link
+   * @param {number} status
+   */
+  _failLink(handler, link, status) {
+    let exchanges = link.exchanges;
+    link.exchanges = [];
+    for (let exchange of exchanges) {
+      this._respondError(handler, exchange, status, link.route);
+    }
+  }
+
+  /**
+   * Answers a request with an error generated by the proxy: hands the
+   * socket over to the callback set for the status, or sends the error page
+   * @param {Object} handler
+   * @param {Object} exchange
+   * @param {number} status
+   * @param {Object} route - null if no route matched
+   * @param {Object} headers - Sent with the error page, e.g. Retry-After
+   */
+  _respondError(handler, exchange, status, route, headers = {}) {
+    this._recordResponse(exchange, route, status, true);
+    if (this.callbacks[status]) {
+      let context = Object.assign(this._requestContext(exchange), { status: status, headers: headers });
+      exchange.handover = () => this.callbacks[status](handler.socket, exchange.host_header, context);
+      return this._respond(handler, exchange, Buffer.alloc(0));
+    }
+    let page = this._errorPage(status, route, exchange, headers);
+    this._respond(handler, exchange, this._makeResponse(page, true, exchange));
+  }
+
+  /**
+   * Builds the error response for a status from the errorPages of the
+   * route, or of the options. A page is an HTML string, a response object
+   * ({ headers, body }, an object body is sent as JSON) or a function
+   * returning one of them, called with the request context.
+   * @param {number} status
+   * @param {Object} route - null if no route matched
+   * @param {Object} exchange
+   * @param {Object} headers - Defaults, the page's headers take precedence
+   * @return {Object} Response object
+   */
+  _errorPage(status, route, exchange, headers = {}) {
+    let pages = route ? this._routeEntry(route).errorPages || {} : {};
+    let page = pages[status];
+    if (page === undefined) {
+      page = (this.options.errorPages || {})[status];
+    }
+    if (typeof page == 'function') {
+      page = page(Object.assign(this._requestContext(exchange), { status: status, headers: headers }));
+    }
+    if (page === undefined || page === null) {
+      page = {};
+    } else if (typeof page == 'string' || Buffer.isBuffer(page)) {
+      page = { body: page };
+    }
+    let json = page.body !== undefined && typeof page.body == 'object' && !Buffer.isBuffer(page.body);
+    headers = Object.assign({}, headers);
+    if (page.body !== undefined) {
+      headers['Content-Type'] = json ? 'application/json' : 'text/html; charset=utf-8';
+    }
+    return { status: status, headers: Object.assign(headers, page.headers), body: page.body };
+  }
+
+  /**
+   * Cleans up after a backend connection has been closed
+   * @param {Object} handler
+   * @param {Object} link
+   */
+  _closeLink(handler, link) {
+    this._releaseLink(link);
+    handler.links.delete(link);
+    if (handler.link === link) {
+      handler.link = null;
+    }
+    if (!link.tunnel) {
+      link.parser.finish();
+    }
+    let exchanges = link.exchanges;
+    link.exchanges = [];
+    for (let exchange of exchanges) {
+      // The backend closed before responding (NGINX: "upstream prematurely closed connection")
+      if (!exchange.response && !handler.closing) {
+        this._respondError(handler, exchange, 502, link.route);
+        continue;
+      }
+      exchange.complete = true;
+      exchange.close = true;
+    }
+    this._flushExchanges(handler);
+  }
+
+  /**
+   * Cleans up after a frontend connection has been closed
+   * @param {Object} handler
+   */
+  _closeHandler(handler) {
+    for (let exchange of handler.exchanges) {
+      clearTimeout(exchange.timer);
+      // Client closed the connection before the response was sent (NGINX's 499)
+      if (!exchange.status) {
+        exchange.status = 499;
+      }
+      this._logExchange(handler, exchange);
+    }
+    handler.closing = true;
+    handler.exchanges = [];
+    this._setTimer(handler, 0);
+    for (let link of handler.links) {
+      link.attempt.abort();
+      this._releaseLink(link);
+    }
+    if (handler.waiter) {
+      clearTimeout(handler.waiter.timer);
+      this._dequeue(handler.waiter);
+    }
+    this.handlers.delete(handler);
+    this._removeConnection(handler.socket);
+    this._checkDrains();
+  }
+
+  /**
+   * Stops counting a link against the maxConnections of its route
+   * @param {Object} link
+   */
+  _releaseLink(link) {
+    if (link.counted) {
+      link.counted = false;
+      this._releaseRoute(link.route);
+    }
+  }
+
+  /**
+   * Extracts the hostname (without port) from a message's Host header
+   * @param {Object} message
+   * @return {string}
+   */
+  _getHostname(message) {
+    let host = message.headers.host || '';
+    if (host[0] === '[') {
+      return host.slice(0, host.indexOf(']') + 1).toLowerCase();
+    }
+    return host.split(':')[0].replace(/\.$/, '').toLowerCase();
+  }
+
+  _makeBufferFromHttpMessage(message) {
+    let lines = []
+    let httpVersion = 'HTTP/' + message.versionMajor + '.' + message.versionMinor
+    if (message.statusCode) {
+      lines.push(httpVersion + ' ' + message.statusCode + ' ' + message.statusMessage)
+    } else {
+      lines.push(message.method + ' ' + message.url + ' ' + httpVersion)
+    }
+    let headerList = message.headerList
+    if (!headerList || message.headers !== headerList.view) {
+      // headers replaced by an interceptor with a plain object
+      headerList = HttpHeaders.from(message.headers)
+    }
+    lines = lines.concat(headerList.lines())
+    return Buffer.from(
+      lines.join('\r\n') + '\r\n' + '\r\n',
+      'utf-8'
+    )
+  }
+
+  /**
+   * Generates a client response from a response object of an interceptor
+   * @param {Object} response - { status, headers, body }
+   * @param {boolean} close - Whether the connection is closed afterwards
+   * @param {Object} exchange - Whose head bytes are counted (optional)
+   * @return {Buffer}
+   */
+  _makeResponse(response, close, exchange = null) {
+    let body = response.body;
+    if (body === undefined || body === null) {
+      body = Buffer.alloc(0);
+    } else if (!Buffer.isBuffer(body)) {
+      body = Buffer.from(typeof body == 'string' ? body : JSON.stringify(body));
+    }
+    let headers = HttpHeaders.from(response.headers);
+    headers.set('Content-Length', String(body.length));
+    headers.set('Connection', close ? 'close' : 'keep-alive');
+    let head = this._makeBufferFromHttpMessage({
+      versionMajor: 1,
+      versionMinor: 1,
+      statusCode: response.status,
+      statusMessage: this.status_codes.get(response.status) || http.STATUS_CODES[response.status] || 'Unknown',
+      headers: headers.view,
+      headerList: headers
+    });
+    if (exchange) {
+      this._countHead(exchange, head);
+    }
+    return Buffer.concat([head, body]);
+  }
+
+  /**
+   * Counts a response head sent for a request, the access log reports the
+   * body bytes apart
+   * @param {Object} exchange
+   * @param {Buffer} head
+   * @return {Buffer} The head
+   */
+  _countHead(exchange, head) {
+    exchange.headBytes += head.length;
+    return head;
+  }
+
+  /**
+   * Adds socket to internal frontend connection tracking
+   * @param {Object} socket
+   * @param {string} host_header
+   */
+  _addConnection(socket, host_header) {
+    this.id++;
+    socket[this.symId] = this.id;
+    socket[this.symHostHeader] = host_header;
+    if (! this.host_headers[host_header]) {
+      this.host_headers[host_header] = new Map();
+    }
+    this.host_headers[host_header].set(this.id, true);
+    this.sockets.set(this.id, socket);
+  }
+
+  /**
+   * Moves socket to another host name in frontend connection tracking,
+   * adds it if not tracked yet
+   * @param {Object} socket
+   * @param {string} host_header
+   */
+  _trackConnection(socket, host_header) {
+    if (socket[this.symId] === undefined) {
+      return this._addConnection(socket, host_header);
+    }
+    if (socket[this.symHostHeader] === host_header) {
+      return;
+    }
+    this.host_headers[socket[this.symHostHeader]].delete(socket[this.symId]);
+    socket[this.symHostHeader] = host_header;
+    if (! this.host_headers[host_header]) {
+      this.host_headers[host_header] = new Map();
+    }
+    this.host_headers[host_header].set(socket[this.symId], true);
+  }
+
+  /**
+   * Removes socket from internal frontend connection tracking
+   * @param {Object} socket
+   */
+  _removeConnection(socket) {
+    if (socket[this.symId] === undefined) {
+      return;
+    }
+    this.host_headers[socket[this.symHostHeader]].delete(socket[this.symId]);
+    this.sockets.delete(socket[this.symId]);
+    this._checkDrains();
+  }
+
+  /**
+   * Checks whether requests for a host name, or on the connection of a
+   * client whose listener has been removed, are no longer routed
+   * @param {string} host_header
+   * @param {Object} client - Optional
+   * @return {boolean}
+   */
+  _draining(host_header, client) {
+    return this.drainingAll || this.drains.has(host_header) || !!(client && client.listener && client.listener.closed);
+  }
+
+  /**
+   * Waits until no connections are left, connections still open at the
+   * timeout are closed
+   * @param {Function} remaining - Returns the sockets still open
+   * @param {number} timeout - Milliseconds, 0 waits forever
+   * @return {Promise} Resolves with the number of connections closed at the timeout
+   */
+  _waitForDrain(remaining, timeout) {
+    return new Promise((resolve) => {
+      let timer = null;
+      let waiter = () => {
+        if (remaining().length) {
+          return false;
+        }
+        clearTimeout(timer);
+        resolve(0);
+        return true;
+      };
+      if (waiter()) {
+        return;
+      }
+      this.drainWaiters.push(waiter);
+      if (timeout) {
+        timer = setTimeout(() => {
+          this.drainWaiters = this.drainWaiters.filter((other) => other !== waiter);
+          let sockets = remaining();
+          for (let socket of sockets) {
+            socket.destroy();
+          }
+          resolve(sockets.length);
+        }, timeout);
+      }
+    });
+  }
+
+  /**
+   * Settles the drains whose connections are all closed
+   */
+  _checkDrains() {
+    if (this.drainWaiters.length) {
+      this.drainWaiters = this.drainWaiters.filter((waiter) => !waiter());
     }
-    return Buffer.from(
-      lines.join('\r\n') + '\r\n' + '\r\n',
-      'utf-8'
-    )
   }
 
-  _makeHttpParserStream (type, handler) {
-      let ts = new Transform();
-      let chunks = [], len = 0;
-      let parser = new HttpMessageParser(type);
-      let interceptorMethod = type == 'request' ? '_handleRequestInterceptors' : '_handleResponseInterceptors';
-
-      ts._transform = function _transform (chunk, enc, cb) {
-        if (handler.protocol == 'http') {
-          let ret = parser.execute(chunk, 0, chunk.length)
-          if (ret instanceof Error) {
-            parser.emit('error')
+  /**
+   * Generates routes map, plus one for each listener that serves only some
+   * of the apps (see RouteTable's listeners)
+   * @param {Array|Object} config
+   * @return {RouteTable}
+   */
+  _generateRoutesMap(config) {
+    let routes = new RouteTable();
+    let apps = [];
+    // Endpoints are copied, the caller's config (and getConfig()) keeps the plain socket paths
+    let pipe = (endpoint) => endpoint.path ? Object.assign({}, endpoint, { path: xpipe.eq(endpoint.path) }) : endpoint;
+    try {
+      for (let obj of this._apps(config)) {
+        let contexts = obj.tls ? (obj.hostnames || []).map((host) => [host, this._createSecureContext(obj.tls, host)]) : [];
+        let target = obj.endpoint ? pipe(obj.endpoint) : null;
+        let endpoints = obj.endpoints instanceof Array && obj.endpoints.length ? obj.endpoints.map(pipe) : null;
+        let options = {};
+        for (let key of EndpointPool.OPTIONS) {
+          if (obj[key] !== undefined) {
+            options[key] = obj[key];
           }
-          len += chunk.length;
-          chunks.push(chunk);
-        } else {
-          ts.push(chunk);
         }
-        cb(null);
-      };
-
-      ts._flush = function _flush(cb) {
-        if (chunks.length) {
-          let buffer = Buffer.concat(chunks, len);
-          ts.push(buffer);
-          chunks = [];
-          len = 0;
+        if (options.fallback) {
+          options.fallback = options.fallback.map(pipe);
+        }
+        if (!endpoints && target && Object.keys(options).length) {
+          endpoints = [target];
+        }
+        if (endpoints) {
+          target = new EndpointPool(endpoints, options);
         }
-        cb(null);
+        apps.push({ entry: obj, target: target, contexts: contexts });
       }
-
-      parser.on('headers', (message) => {
-        chunks = [];
-        len = 0;
-        ts.push(this._makeBufferFromHttpMessage(this[interceptorMethod](message)));
-        if (message.statusCode === 101) {
-          handler.protocol = message.headers.upgrade;
+      this._addRoutes(routes, apps);
+      for (let listener of this._listenersOf(config)) {
+        if (listener.apps) {
+          let subset = new RouteTable();
+          this._addRoutes(subset, apps.filter((app) => listener.apps.indexOf(app.entry.name) != -1));
+          routes.listeners.set(this._listenerKey(listener), subset);
         }
-      });
-
-      parser.on('body', (buffer, offset, length) => {
-        chunks = [];
-        len = 0;
-        buffer = offset ? buffer.slice(offset) : buffer;
-        ts.push(buffer);
-      });
+      }
+    } catch (e) {
+      for (let app of apps) {
+        if (app.target instanceof EndpointPool) {
+          app.target.close();
+        }
+      }
+      throw e;
+    }
+    return routes;
+  }
 
-      parser.on('error', function () {
-        ts._flush(function () {});
-      });
+  /**
+   * Adds the routes and TLS contexts of apps to a routes map
+   * @param {RouteTable} routes
+   * @param {Array} apps - { entry, target, contexts }
+   */
+  _addRoutes(routes, apps) {
+    for (let app of apps) {
+      if (app.entry.tcp) {
+        routes.addTcp(app.entry.tcp, app.target, app.entry);
+      }
+      for (let host of app.entry.hostnames || []) {
+        routes.add(host, app.target, app.entry);
+      }
+      for (let context of app.contexts) {
+        routes.addSecureContext(context[0], context[1]);
+      }
+    }
+  }
 
-      return ts;
+  /**
+   * Returns the apps of a configuration, a list or { listeners, apps }
+   * @param {Array|Object} config
+   * @return {Array}
+   */
+  _apps(config) {
+    return Array.isArray(config) ? config : config.apps || [];
   }
 
-  _handleRequestInterceptors(request) {
-    for (var fn of this.requestInterceptors) {
-      fn(request);
-    }
-    return request;
+  /**
+   * Returns the listeners of a configuration
+   * @param {Array|Object} config
+   * @return {Array}
+   */
+  _listenersOf(config) {
+    return (!Array.isArray(config) && config.listeners) || [];
   }
 
-  _handleResponseInterceptors(response) {
-    for (var fn of this.responseInterceptors) {
-      fn(response);
-    }
-    return response;
+  /**
+   * Identifies a listener by what it is bound with, a listener whose key
+   * changes is reopened
+   * @param {Object} settings - Listener from config
+   * @return {string}
+   */
+  _listenerKey(settings) {
+    return JSON.stringify([settings.path, settings.host, settings.port, settings.ipv6Only, settings.reusePort, settings.backlog]);
   }
 
   /**
-   * Adds socket to internal frontend connection tracking
-   * @param {Object} socket
-   * @param {string} host_header
+   * Checks a configuration against the schema and loads its certificates
+   * @param {Array|Object} config
+   * @return {Array} Errors as { path, message }
    */
-  _addConnection(socket, host_header) {
-    this.id++;
-    socket[this.symId] = this.id;
-    socket[this.symHostHeader] = host_header;
-    if (! this.host_headers[host_header]) {
-      this.host_headers[host_header] = new Map();
+  _checkConfig(config) {
+    let errors = ConfigValidator.validate(config);
+    if (errors.length) {
+      return errors;
     }
-    this.host_headers[host_header].set(this.id, true);
-    this.sockets.set(this.id, socket);
+    let prefix = Array.isArray(config) ? '$' : '$.apps';
+    this._apps(config).forEach((obj, i) => {
+      if (!obj.tls) {
+        return;
+      }
+      for (let host of obj.hostnames || []) {
+        try {
+          this._createSecureContext(obj.tls, host);
+        } catch (e) {
+          errors.push({ path: prefix + '[' + i + '].tls', message: 'no TLS context for ' + host + ': ' + e.message });
+          break;
+        }
+      }
+    });
+    return errors;
   }
 
   /**
-   * Removes socket from internal frontend connection tracking
-   * @param {Object} socket
-   * @param {Object} backend
+   * Creates the TLS context for a host name. Certificate and key are PEM
+   * data or file names; with a directory, the files are named after the
+   * host name: <dir>/<host>.crt and <dir>/<host>.key, where a leading
+   * wildcard is written as '_wildcard' (e.g. _wildcard.example.com.crt).
+   * @param {Object} options - { cert, key } or { dir }, plus any tls.createSecureContext() option
+   * @param {string} host
+   * @return {Object}
    */
-  _removeConnection(socket, backend) {
-    this.host_headers[socket[this.symHostHeader]].delete(socket[this.symId]);
-    this.sockets.delete(socket[this.symId]);
-    socket.end();
-    socket.unref();
-    backend.end();
+  _createSecureContext(options, host) {
+    let read = (data) => {
+      if (typeof data == 'string' && data.indexOf('-----BEGIN') == -1) {
+        return fs.readFileSync(data);
+      }
+      return data;
+    };
+    let settings = Object.assign({}, options);
+    delete settings.dir;
+    if (options.dir) {
+      let name = String(host).replace(/^\*/, '_wildcard');
+      settings.cert = path.join(options.dir, name + '.crt');
+      settings.key = path.join(options.dir, name + '.key');
+    }
+    settings.cert = read(settings.cert);
+    settings.key = read(settings.key);
+    return tls.createSecureContext(settings);
   }
 
   /**
-   * Generates routes map
-   * @param {Object} config
-   * @return {Map}
+   * Stops health checks of endpoint pools no longer in use
+   * @param {RouteTable} routes
    */
-  _generateRoutesMap(config) {
-    let routes = new Map();
-    if (config instanceof Array) {
-      for (let obj of config) {
-        if (obj.endpoint && obj.endpoint.path) {
-          obj.endpoint.path = xpipe.eq(obj.endpoint.path);
-        }
-        let hosts = obj.hostnames || [];
-        for (let host of hosts) {
-          if (obj.endpoint) {
-            routes.set(host, obj.endpoint);
-          }
-        }
+  _closeRoutesMap(routes) {
+    for (let route of routes.targets()) {
+      if (route instanceof EndpointPool) {
+        route.close();
       }
     }
-    return routes;
   }
 
   /**
@@ -321,19 +2702,6 @@ class UpstreamProxy {
     return i;
   }
 
-  /**
-   * Generates client response
-   * @param {number} nr
-   * @return {string}
-   */
-  _httpResponse(nr) {
-    let reason_phrase = this.status_codes.get(nr);
-    if (!reason_phrase) {
-      return 'HTTP/1.1 500 Internal Server Error\r\n\r\n';
-    }
-    return 'HTTP/1.1 ' + nr + ' ' + reason_phrase + '\r\n\r\n';
-  }
-
   /**
    * Returns current configuration
    * @return {Object}
@@ -343,29 +2711,230 @@ class UpstreamProxy {
   }
 
   /**
-   * Overwrites current configuration
-   * @param {Object} config - Sets data for calculating the routes.
-   * @param {Array} config.frontend_connectors - Describes frontend connectors.
-   * @param {Array} config.backend_connectors - Describes backend connectors.
+   * Overwrites current configuration, nothing is applied if it is invalid.
+   * Listeners are reconciled: new ones are opened, removed ones closed.
+   * @param {Array|Object} config - Sets data for calculating the routes (the apps, or { listeners, apps }).
+   * @return {string|Object} 'OK' or the errors, see validateConfig()
    */
-  setConfig(config = {}) {
+  setConfig(config = []) {
+    let result = this.validateConfig(config);
+    if (result !== 'OK') {
+      return result;
+    }
     try {
+      let routes = this._generateRoutesMap(config);
+      let previous = this.routes;
       this.config = config;
-      this.routes = this._generateRoutesMap(this.config);
+      this.routes = routes;
+      this._closeRoutesMap(previous);
+      // Rate limits of apps that are gone (or unnamed, see _limitKey())
+      let keys = Array.from(routes.targets()).map((route) => this._limitKey(route));
+      for (let key of Array.from(this.rateLimiters.keys())) {
+        if (keys.indexOf(key) == -1) {
+          this.rateLimiters.delete(key);
+        }
+      }
+      this._applyListeners(this._listenersOf(config));
       return 'OK';
     } catch (e) {
       return 'ERROR: ' + e.message;
     }
   }
 
+  /**
+   * Checks a configuration without applying it
+   * @param {Array|Object} config
+   * @return {string|Object} 'OK' or { status: 'ERROR', message, errors: [{ path, message }] }
+   */
+  validateConfig(config) {
+    let errors = this._checkConfig(config);
+    if (!errors.length) {
+      return 'OK';
+    }
+    return this._invalid('config', errors);
+  }
+
+  /**
+   * @param {string} what - 'config' or 'options'
+   * @param {Array} errors
+   * @return {Object} { status: 'ERROR', message, errors }
+   */
+  _invalid(what, errors) {
+    let first = errors[0].path + ' ' + errors[0].message;
+    return {
+      status: 'ERROR',
+      message: 'ERROR: invalid ' + what + ', ' + first + (errors.length > 1 ? ' (and ' + (errors.length - 1) + ' more)' : ''),
+      errors: errors
+    };
+  }
+
   /**
    * Returns current routes
-   * @return {Map}
+   * @return {RouteTable}
    */
   getRoutes() {
     return this.routes;
   }
 
+  /**
+   * Lists the routed client connections
+   * @param {string} host - Only connections for this host name (optional)
+   * @return {Array}
+   */
+  getConnections(host) {
+    let now = Date.now();
+    let list = [];
+    for (let socket of this.sockets.values()) {
+      let client = socket[this.symClient] || {};
+      if (host !== undefined && socket[this.symHostHeader] !== String(host).toLowerCase()) {
+        continue;
+      }
+      list.push({
+        id: client.id,
+        host: socket[this.symHostHeader],
+        client: client.address,
+        port: client.port,
+        encrypted: !!client.encrypted,
+        listener: client.listener ? client.listener.name : null,
+        since: client.time,
+        age: client.time ? Math.round((now - client.time) / 1000) : 0,
+        bytesRead: socket.bytesRead,
+        bytesWritten: socket.bytesWritten
+      });
+    }
+    return list;
+  }
+
+  /**
+   * Lists the listeners from config, then the metrics and admin listeners
+   * @return {Array}
+   */
+  getListeners() {
+    let list = [];
+    for (let listener of this.listeners.values()) {
+      let settings = listener.settings;
+      list.push({
+        name: listener.name,
+        address: listener.server.address() || (settings.path !== undefined ? settings.path : { address: settings.host, port: settings.port }),
+        protocol: settings.protocol || 'auto',
+        apps: settings.apps || null,
+        listening: listener.server.listening,
+        error: listener.error
+      });
+    }
+    if (this.metricsServer) {
+      list.push(this._serviceListener('metrics', this.metricsServer, this.metricsServer.settings, this.metricsServer.error));
+    }
+    if (this.adminApi) {
+      list.push(this._serviceListener('admin', this.adminApi.server, this.adminApi.settings, this.adminApi.error));
+    }
+    return list;
+  }
+
+  /**
+   * Describes the metrics or admin listener like those from config
+   * @param {string} name
+   * @param {Object} server
+   * @param {Object} settings - From the options
+   * @param {string} error - Why it isn't listening, if it failed
+   * @return {Object}
+   */
+  _serviceListener(name, server, settings, error) {
+    return {
+      name: name,
+      address: server.address() || settings.socket || { address: settings.host || '127.0.0.1', port: settings.port },
+      protocol: 'http',
+      apps: null,
+      listening: server.listening,
+      error: error
+    };
+  }
+
+  /**
+   * Opens the listeners of a configuration that are not open yet (or failed
+   * to open), updates the others and closes the ones no longer configured
+   * @param {Array} listeners - From config
+   */
+  _applyListeners(listeners) {
+    let previous = this.listeners;
+    this.listeners = new Map();
+    for (let settings of listeners) {
+      let key = this._listenerKey(settings);
+      let listener = previous.get(key);
+      if (listener && !listener.error) {
+        previous.delete(key);
+        listener.settings = settings;
+        listener.name = settings.name || this._listenerName(settings);
+      } else {
+        listener = this._openListener(key, settings);
+      }
+      this.listeners.set(key, listener);
+    }
+    for (let listener of previous.values()) {
+      this._closeListener(listener);
+    }
+  }
+
+  /**
+   * Starts listening as a listener from config says
+   * @param {string} key
+   * @param {Object} settings
+   * @return {Object} Listener record
+   */
+  _openListener(key, settings) {
+    let listener = {
+      key: key,
+      name: settings.name || this._listenerName(settings),
+      settings: settings,
+      server: null,
+      closed: false,
+      error: null
+    };
+    let server = listener.server = net.createServer((socket) => this._handleConnection(socket, listener));
+    server.on('error', (err) => {
+      listener.error = err.message;
+    });
+    let options = { backlog: settings.backlog };
+    if (settings.path !== undefined) {
+      options.path = xpipe.eq(settings.path);
+    } else {
+      Object.assign(options, { port: settings.port, host: settings.host, ipv6Only: settings.ipv6Only, reusePort: settings.reusePort });
+    }
+    server.listen(options);
+    return listener;
+  }
+
+  /**
+   * Stops a listener: no new connections are accepted, requests in progress
+   * are finished and their connections closed afterwards
+   * @param {Object} listener
+   */
+  _closeListener(listener) {
+    listener.closed = true;
+    listener.server.close();
+    for (let handler of this.handlers) {
+      if (handler.client.listener === listener) {
+        this._closeIdle(handler);
+      }
+    }
+    for (let entry of this.sessions) {
+      if (entry[1][this.symClient].listener === listener) {
+        entry[0].close();
+      }
+    }
+  }
+
+  /**
+   * @param {Object} settings - Listener from config
+   * @return {string}
+   */
+  _listenerName(settings) {
+    if (settings.path !== undefined) {
+      return settings.path;
+    }
+    return (settings.host && settings.host.indexOf(':') != -1 ? '[' + settings.host + ']' : settings.host || '*') + ':' + settings.port;
+  }
+
   /**
    * Returns current callbacks
    * @return {Object}
@@ -387,12 +2956,242 @@ class UpstreamProxy {
     }
   }
 
+  /**
+   * Returns a snapshot of all metrics
+   * @return {Object}
+   */
+  getMetrics() {
+    return this.metrics.toJSON();
+  }
+
+  /**
+   * Starts, moves or stops the metrics listener as set in the options
+   */
+  _listenMetrics() {
+    let settings = this.options.metrics || null;
+    let key = JSON.stringify(settings);
+    if (this.metricsServer && this.metricsServer.key === key && !this.metricsServer.error) {
+      return;
+    }
+    if (this.metricsServer) {
+      this.metricsServer.close();
+      this.metricsServer = null;
+    }
+    if (!settings) {
+      return;
+    }
+    let path = settings.path || '/metrics';
+    let server = http.createServer((req, res) => {
+      if (req.url.split('?')[0] != path) {
+        res.writeHead(404);
+        return res.end();
+      }
+      res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4' });
+      res.end(this.metrics.toPrometheus());
+    });
+    server.key = key;
+    server.settings = settings;
+    server.error = null;
+    server.on('error', (err) => {
+      server.error = err.message;
+    });
+    server.listen(settings.port, settings.host || '127.0.0.1');
+    this.metricsServer = server;
+  }
+
+  /**
+   * Starts, restarts or stops the admin API as set in the options
+   */
+  _listenAdmin() {
+    let settings = this.options.admin || null;
+    let key = JSON.stringify(settings);
+    if (this.adminApi && this.adminApi.key === key && !this.adminApi.error) {
+      return;
+    }
+    if (this.adminApi) {
+      this.adminApi.close();
+      this.adminApi = null;
+    }
+    if (!settings) {
+      return;
+    }
+    let api = new AdminApi(this, settings);
+    api.key = key;
+    this.adminApi = api.listen();
+  }
+
+  /**
+   * Returns the access log for a setting: the current one if unchanged,
+   * otherwise a newly opened one (or none)
+   * @param {Object} settings
+   * @return {AccessLog}
+   */
+  _newAccessLog(settings) {
+    if (this.accessLog && this.accessLog.settings === settings) {
+      return this.accessLog;
+    }
+    if (!settings) {
+      return null;
+    }
+    return new AccessLog(settings, (err) => {
+      this.events.emit('logError', { path: settings.path, error: err.message, time: new Date() });
+    });
+  }
+
+  /**
+   * Creates the proxy-wide rate limit as set in the options
+   */
+  _createRateLimiter() {
+    let settings = this.options.rateLimit || null;
+    if (!this.rateLimiter || !RateLimiter.same(this.rateLimiter.settings, settings)) {
+      this.rateLimiter = settings ? new RateLimiter(settings) : null;
+    }
+  }
+
+  /**
+   * Returns the response cache for a setting, apps enable it: the current
+   * one if unchanged, otherwise a new (empty) one
+   * @param {Object} settings
+   * @return {ResponseCache}
+   */
+  _newCache(settings) {
+    let key = JSON.stringify(settings);
+    if (this.cache && this.cache.key === key) {
+      return this.cache;
+    }
+    let cache = new ResponseCache(settings);
+    cache.key = key;
+    return cache;
+  }
+
+  /**
+   * Removes responses from the cache
+   * @param {string} host - Only those for this host name (optional)
+   * @param {string} prefix - Only those whose URL starts with it (optional)
+   * @return {number} Responses removed
+   */
+  purgeCache(host, prefix) {
+    if (!this.cache) {
+      return 0;
+    }
+    return this.cache.purge(host === undefined ? undefined : String(host).toLowerCase(), prefix);
+  }
+
+  /**
+   * Returns the state of the limits: the proxy-wide rate limit, the number
+   * of client addresses connected, the size of the cache and, per route,
+   * backend connections, queued requests and the rate limit
+   * @return {Object}
+   */
+  getLimits() {
+    let routes = {};
+    for (let route of this.routes.targets()) {
+      let entry = this._routeEntry(route);
+      let limiter = this._routeRateLimiter(route);
+      routes[this._routeName(route)] = {
+        connections: this.routeConnections.get(this._limitKey(route)) || 0,
+        maxConnections: entry.maxConnections || 0,
+        queued: (this.routeQueues.get(this._limitKey(route)) || []).length,
+        queueSize: entry.queueSize || 0,
+        rateLimit: limiter ? limiter.toJSON() : null
+      };
+    }
+    return {
+      rateLimit: this.rateLimiter ? this.rateLimiter.toJSON() : null,
+      clients: this.clientConnections.size,
+      cache: this.cache ? this.cache.toJSON() : null,
+      routes: routes
+    };
+  }
+
+  /**
+   * Reopens the access log file, call it after the file has been rotated
+   * or writing it failed
+   */
+  reopenLogs() {
+    try {
+      if (this.accessLog) {
+        this.accessLog.reopen();
+      }
+      return 'OK';
+    } catch (e) {
+      return 'ERROR: ' + e.message;
+    }
+  }
+
+  /**
+   * Returns current options
+   * @return {Object}
+   */
+  getOptions() {
+    return this.options;
+  }
+
+  /**
+   * Overwrites current options
+   * @param {Object} options - Sets proxy-wide options.
+   */
+  setOptions(options = {}) {
+    try {
+      return this._applyOptions(options);
+    } catch (e) {
+      return 'ERROR: ' + e.message;
+    }
+  }
+
+  /**
+   * Applies options all at once: nothing is changed if they are invalid, or
+   * if the access log file or the cache directory can't be opened
+   * @param {Object} options
+   * @return {string|Object} 'OK' or { status: 'ERROR', message, errors: [{ path, message }] }
+   */
+  _applyOptions(options) {
+    let errors = ConfigValidator.validateOptions(options);
+    let accessLog = this.accessLog;
+    let cache = this.cache;
+    if (!errors.length) {
+      try {
+        accessLog = this._newAccessLog(options.accessLog || null);
+      } catch (e) {
+        errors.push({ path: '$.accessLog.path', message: e.message });
+      }
+    }
+    if (!errors.length) {
+      try {
+        cache = this._newCache(options.cache || {});
+      } catch (e) {
+        errors.push({ path: '$.cache.dir', message: e.message });
+      }
+    }
+    if (errors.length) {
+      if (accessLog && accessLog !== this.accessLog) {
+        accessLog.close();
+      }
+      return this._invalid('options', errors);
+    }
+    this.options = options;
+    if (this.accessLog && this.accessLog !== accessLog) {
+      this.accessLog.close();
+    }
+    this.accessLog = accessLog;
+    if (this.cache && this.cache !== cache) {
+      this.cache.clear();
+    }
+    this.cache = cache;
+    this._listenMetrics();
+    this._listenAdmin();
+    this._createRateLimiter();
+    return 'OK';
+  }
+
   /**
    * Starts routing
    * @return {string}
    */
   start() {
     this.active = true;
+    this.drainingAll = false;
+    this.drains.clear();
     return 'OK';
   }
 
@@ -405,6 +3204,94 @@ class UpstreamProxy {
     return 'OK';
   }
 
+  /**
+   * Stops routing requests for a host name: requests in progress are
+   * finished, their keep-alive connections are closed afterwards
+   * @param {string} host
+   * @param {Object} options
+   * @param {number} options.timeout - Milliseconds until the remaining connections are closed (default: no timeout)
+   * @return {Promise} Resolves with the number of connections closed at the timeout
+   */
+  drain(host = '', options = {}) {
+    host = String(host).toLowerCase();
+    this.drains.add(host);
+    for (let handler of this.handlers) {
+      if (handler.socket[this.symHostHeader] === host) {
+        this._closeIdle(handler);
+      }
+    }
+    return this._waitForDrain(() => {
+      let ids = this.host_headers[host] ? Array.from(this.host_headers[host].keys()) : [];
+      return ids.map((id) => this.sockets.get(id)).filter((socket) => socket);
+    }, options.timeout);
+  }
+
+  /**
+   * Stops routing (like stop()) and drains all connections, see drain()
+   * @param {Object} options
+   * @param {number} options.timeout - Milliseconds until the remaining connections are closed (default: no timeout)
+   * @return {Promise} Resolves with the number of connections closed at the timeout
+   */
+  drainAll(options = {}) {
+    this.active = false;
+    this.drainingAll = true;
+    for (let handler of this.handlers) {
+      this._closeIdle(handler);
+    }
+    for (let session of this.sessions.keys()) {
+      // GOAWAY: streams in progress are finished, then the connection is closed
+      session.close();
+    }
+    return this._waitForDrain(() => {
+      let sockets = new Set(this.sockets.values());
+      for (let handler of this.handlers) {
+        sockets.add(handler.socket);
+      }
+      for (let socket of this.sessions.values()) {
+        sockets.add(socket);
+      }
+      return Array.from(sockets);
+    }, options.timeout);
+  }
+
+  /**
+   * Shuts down: stops listening (also on the listeners from config), drains all connections (see drainAll()),
+   * then closes the metrics and admin listeners, the access log, health
+   * checks and empties the cache
+   * @param {Object|Function} options - { timeout }, or a callback like net.Server's close()
+   * @return {Promise} Resolves with the number of connections closed at the timeout
+   */
+  close(options = {}) {
+    let callback = typeof options == 'function' ? options : null;
+    net.Server.prototype.close.call(this.server);
+    for (let listener of this.listeners.values()) {
+      listener.closed = true;
+      listener.server.close();
+    }
+    return this.drainAll(callback ? {} : options).then((closed) => {
+      if (this.metricsServer) {
+        this.metricsServer.close();
+        this.metricsServer = null;
+      }
+      if (this.adminApi) {
+        this.adminApi.close();
+        this.adminApi = null;
+      }
+      if (this.accessLog) {
+        this.accessLog.close();
+        this.accessLog = null;
+      }
+      if (this.cache) {
+        this.cache.clear();
+      }
+      this._closeRoutesMap(this.routes);
+      if (callback) {
+        callback();
+      }
+      return closed;
+    });
+  }
+
   /**
    * Get status
    * @return {string}
@@ -423,7 +3310,7 @@ class UpstreamProxy {
    */
   disconnectClients(host = '') {
     try {
-      return this._closeFrontendConnections( Array.from( this.host_headers[host].keys() ) );
+      return this._closeFrontendConnections( Array.from( this.host_headers[String(host).toLowerCase()].keys() ) );
     } catch (e) {
       return 0;
     }
@@ -448,4 +3335,13 @@ class UpstreamProxy {
  * ...wait for v8 to implement es6 style:
  * export default UpstreamProxy;
 */
+UpstreamProxy.DEFAULTS = {
+  headerTimeout: 60000,
+  idleTimeout: 0,
+  requestTimeout: 0,
+  maxHeaderSize: 8192,
+  maxConnectionsPerIp: 0,
+  http2: true
+};
+
 module.exports = UpstreamProxy;
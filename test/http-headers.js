@@ -0,0 +1,71 @@
+'use strict';
+
+// Checks the header list kept with each message: node test/http-headers.js
+
+const assert = require('assert');
+const HttpHeaders = require('../HttpHeaders');
+
+let raw = () => new HttpHeaders([
+  'Host', 'example.com',
+  'Set-Cookie', 'a=1',
+  'X-Custom-ID', '7',
+  'set-cookie', 'b=2',
+  'Accept', 'text/html',
+  'accept', 'application/json'
+]);
+
+let headers = raw();
+assert.deepStrictEqual(headers.lines(), [
+  'Host: example.com', 'Set-Cookie: a=1', 'X-Custom-ID: 7', 'set-cookie: b=2', 'Accept: text/html', 'accept: application/json'
+]);
+console.log('ok - casing, order and repeated fields are kept');
+
+assert.strictEqual(headers.get('ACCEPT'), 'text/html, application/json');
+assert.deepStrictEqual(headers.getAll('set-cookie'), ['a=1', 'b=2']);
+assert.strictEqual(headers.get('x-missing'), undefined);
+assert.ok(headers.has('x-custom-id'));
+assert.deepStrictEqual(headers.names(), ['host', 'set-cookie', 'x-custom-id', 'accept']);
+console.log('ok - names match case-insensitively');
+
+headers.set('accept', '*/*');
+assert.deepStrictEqual(headers.lines().slice(4), ['Accept: */*']);
+headers.set('x-custom-id', ['8', '9']);
+assert.deepStrictEqual(headers.lines().slice(2, 4), ['X-Custom-ID: 8', 'X-Custom-ID: 9']);
+headers.set('Via', '1.1 proxy');
+assert.strictEqual(headers.lines().pop(), 'Via: 1.1 proxy');
+console.log('ok - set() keeps the position and casing of the first field');
+
+headers = raw();
+headers.append('Set-Cookie', ['c=3']);
+assert.deepStrictEqual(headers.getAll('set-cookie'), ['a=1', 'b=2', 'c=3']);
+assert.ok(headers.remove('SET-COOKIE'));
+assert.ok(!headers.remove('set-cookie'));
+assert.deepStrictEqual(headers.names(), ['host', 'x-custom-id', 'accept']);
+console.log('ok - append() and remove()');
+
+headers = raw();
+let view = headers.view;
+assert.strictEqual(view.host, 'example.com');
+assert.deepStrictEqual(view['set-cookie'], ['a=1', 'b=2']);
+assert.strictEqual(view.accept, 'text/html, application/json');
+assert.ok('x-custom-id' in view);
+assert.deepStrictEqual(Object.keys(view), ['host', 'set-cookie', 'x-custom-id', 'accept']);
+view['x-custom-id'] = 10;
+delete view.accept;
+view.host = undefined;
+view['x-new'] = 'yes';
+assert.deepStrictEqual(headers.lines(), ['Set-Cookie: a=1', 'X-Custom-ID: 10', 'set-cookie: b=2', 'x-new: yes']);
+console.log('ok - the message.headers view reads and writes the list');
+
+headers = HttpHeaders.from({ 'Content-Type': 'text/plain', 'Set-Cookie': ['a=1', 'b=2'], 'X-Skip': undefined });
+assert.deepStrictEqual(headers.lines(), ['Content-Type: text/plain', 'Set-Cookie: a=1', 'Set-Cookie: b=2']);
+assert.deepStrictEqual(new HttpHeaders(['Odd']).lines(), []);
+console.log('ok - from() and incomplete raw lists');
+
+headers = new HttpHeaders([
+  'Host', 'example.com', 'Connection', 'keep-alive, X-Hop', 'Keep-Alive', 'timeout=5', 'X-Hop', '1',
+  'TE', 'gzip', 'Cookie', 'a=1', 'cookie', 'b=2', 'Upgrade', 'websocket'
+]);
+assert.deepStrictEqual(headers.toHttp2(), { cookie: ['a=1', 'b=2'] });
+assert.deepStrictEqual(new HttpHeaders(['TE', 'trailers']).toHttp2(), { te: 'trailers' });
+console.log('ok - toHttp2() leaves out connection-specific headers');
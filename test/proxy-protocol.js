@@ -0,0 +1,75 @@
+'use strict';
+
+// Checks reading and writing PROXY protocol headers: node test/proxy-protocol.js
+
+const assert = require('assert');
+const ProxyProtocol = require('../ProxyProtocol');
+
+let ipv4 = { family: 'IPv4', sourceAddress: '192.0.2.10', sourcePort: 51234, destAddress: '198.51.100.1', destPort: 443 };
+let ipv6 = { family: 'IPv6', sourceAddress: '2001:db8::a', sourcePort: 40000, destAddress: '2001:db8:0:1::1', destPort: 8443 };
+let payload = Buffer.from('GET / HTTP/1.1\r\n\r\n');
+
+for (let version of [1, 2]) {
+  for (let address of [ipv4, ipv6]) {
+    let header = ProxyProtocol.encode(version, address);
+    let result = ProxyProtocol.parse(Buffer.concat([header, payload]));
+    assert.deepStrictEqual(result.address, address);
+    assert.strictEqual(result.length, header.length);
+    console.log('ok - v' + version + ' ' + address.family + ' round-trip');
+  }
+}
+
+assert.strictEqual(ProxyProtocol.encode(1, ipv4).toString(), 'PROXY TCP4 192.0.2.10 198.51.100.1 51234 443\r\n');
+assert.strictEqual(ProxyProtocol.encode(1, ipv6).toString(), 'PROXY TCP6 2001:db8::a 2001:db8:0:1::1 40000 8443\r\n');
+console.log('ok - v1 text');
+
+let unknown = ProxyProtocol.encode(1, null);
+assert.strictEqual(unknown.toString(), 'PROXY UNKNOWN\r\n');
+assert.deepStrictEqual(ProxyProtocol.parse(Buffer.concat([unknown, payload])), { address: { family: null }, length: unknown.length });
+let unknownAddresses = Buffer.from('PROXY UNKNOWN ffff:f...f:ffff ffff:f...f:ffff 65535 65535\r\n');
+assert.deepStrictEqual(ProxyProtocol.parse(unknownAddresses).address, { family: null });
+console.log('ok - v1 UNKNOWN round-trip');
+
+let local = ProxyProtocol.encode(2, null);
+assert.strictEqual(local[12], 0x20);
+assert.deepStrictEqual(ProxyProtocol.parse(Buffer.concat([local, payload])), { address: { family: null }, length: 16 });
+let localWithAddress = ProxyProtocol.encode(2, ipv4);
+localWithAddress[12] = 0x20;
+assert.deepStrictEqual(ProxyProtocol.parse(localWithAddress).address, { family: null });
+console.log('ok - v2 LOCAL round-trip, addresses ignored');
+
+let mapped = { sourceAddress: '::ffff:192.0.2.10', sourcePort: 51234, destAddress: '198.51.100.1', destPort: 443 };
+for (let version of [1, 2]) {
+  assert.deepStrictEqual(ProxyProtocol.parse(ProxyProtocol.encode(version, mapped)).address, ipv4);
+}
+let mixed = { sourceAddress: '192.0.2.10', sourcePort: 1, destAddress: '2001:db8::1', destPort: 2 };
+assert.strictEqual(ProxyProtocol.parse(ProxyProtocol.encode(2, mixed)).address.sourceAddress, '::ffff:c000:20a');
+console.log('ok - IPv4-mapped addresses');
+
+let headers = [
+  ProxyProtocol.encode(1, ipv4), ProxyProtocol.encode(1, ipv6), unknown,
+  ProxyProtocol.encode(2, ipv4), ProxyProtocol.encode(2, ipv6), local
+];
+for (let header of headers) {
+  for (let length = 1; length < header.length; length++) {
+    assert.ok(ProxyProtocol.detect(header.slice(0, length)));
+    assert.strictEqual(ProxyProtocol.parse(header.slice(0, length)), null, 'prefix of ' + length);
+  }
+}
+console.log('ok - headers split at each byte are not accepted until complete');
+
+let throws = (data, message) => assert.throws(() => ProxyProtocol.parse(Buffer.from(data)), (err) => err.message == message);
+throws('GET / HTTP/1.1\r\n', 'Missing PROXY protocol header');
+throws('PROXY TCP4 192.0.2.10\r\n', 'Malformed PROXY protocol v1 header');
+throws('PROXY TCP4 example.com 198.51.100.1 1 2\r\n', 'Malformed PROXY protocol v1 header');
+throws('PROXY UDP4 192.0.2.10 198.51.100.1 1 2\r\n', 'Malformed PROXY protocol v1 header');
+throws('PROXY TCP4 ' + '1'.repeat(120), 'PROXY protocol v1 header too long');
+let version3 = ProxyProtocol.encode(2, ipv4);
+version3[12] = 0x31;
+assert.throws(() => ProxyProtocol.parse(version3), /Unsupported PROXY protocol version 3/);
+console.log('ok - malformed headers');
+
+assert.ok(!ProxyProtocol.detect(Buffer.alloc(0)));
+assert.ok(!ProxyProtocol.detect(Buffer.from('PROXX')));
+assert.ok(!ProxyProtocol.detect(Buffer.from([0x0D, 0x0A, 0x0D, 0x0B])));
+console.log('ok - detect()');
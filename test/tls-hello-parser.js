@@ -0,0 +1,122 @@
+'use strict';
+
+// Checks the TLS ClientHello parser: node test/tls-hello-parser.js
+
+const assert = require('assert');
+const TlsHelloParser = require('../TlsHelloParser');
+
+let u16 = (n) => Buffer.from([n >> 8, n & 0xFF]);
+let u24 = (n) => Buffer.from([n >> 16, (n >> 8) & 0xFF, n & 0xFF]);
+
+function serverNameExtension(name) {
+  let host = Buffer.from(name, 'ascii');
+  let entry = Buffer.concat([Buffer.from([0x00]), u16(host.length), host]);
+  let list = Buffer.concat([u16(entry.length), entry]);
+  return Buffer.concat([u16(0x0000), u16(list.length), list]);
+}
+
+function clientHello(name, padding = 0) {
+  let extensions = [];
+  if (name) {
+    extensions.push(serverNameExtension(name));
+  }
+  // A padding extension (RFC 7685) to make the hello as large as needed
+  extensions.push(Buffer.concat([u16(0x0015), u16(padding), Buffer.alloc(padding)]));
+  let extensionData = Buffer.concat(extensions);
+  let body = Buffer.concat([
+    u16(0x0303), Buffer.alloc(32, 7),
+    Buffer.from([0]),
+    u16(2), u16(0x1301),
+    Buffer.from([1, 0]),
+    u16(extensionData.length), extensionData
+  ]);
+  return Buffer.concat([Buffer.from([0x01]), u24(body.length), body]);
+}
+
+function records(handshake, size = 16384) {
+  let list = [];
+  for (let i = 0; i < handshake.length; i += size) {
+    let fragment = handshake.slice(i, i + size);
+    list.push(Buffer.concat([Buffer.from([0x16, 0x03, 0x01]), u16(fragment.length), fragment]));
+  }
+  return Buffer.concat(list);
+}
+
+function parse(chunks) {
+  let parser = new TlsHelloParser();
+  let results = [];
+  parser.on('hello', (hello) => results.push(hello));
+  parser.on('error', (err) => results.push(err));
+  for (let chunk of chunks) {
+    parser.execute(chunk);
+  }
+  assert.ok(results.length <= 1, 'emits once');
+  return results[0];
+}
+
+function split(buffer, size) {
+  let chunks = [];
+  for (let i = 0; i < buffer.length; i += size) {
+    chunks.push(buffer.slice(i, i + size));
+  }
+  return chunks;
+}
+
+let hello = clientHello('Example.com');
+let data = records(hello);
+
+assert.deepStrictEqual(parse([data]), { serverName: 'example.com', version: 0x0303 });
+console.log('ok - server name from a single record, lowercased');
+
+for (let size = 1; size <= hello.length; size++) {
+  assert.deepStrictEqual(parse([records(hello, size)]), { serverName: 'example.com', version: 0x0303 }, 'records of ' + size);
+}
+console.log('ok - ClientHello split across records of every size');
+
+for (let size = 1; size <= data.length; size++) {
+  assert.deepStrictEqual(parse(split(data, size)), { serverName: 'example.com', version: 0x0303 }, 'chunks of ' + size);
+}
+console.log('ok - ClientHello split across chunks of every size');
+
+let fragmented = records(hello, 7);
+for (let size of [1, 3, 5, 6, 11]) {
+  assert.deepStrictEqual(parse(split(fragmented, size)), { serverName: 'example.com', version: 0x0303 });
+}
+console.log('ok - split across records and chunks at once');
+
+assert.deepStrictEqual(parse([records(clientHello(null))]), { serverName: null, version: 0x0303 });
+console.log('ok - no server_name extension');
+
+for (let length = 0; length < data.length; length++) {
+  assert.strictEqual(parse([data.slice(0, length)]), undefined, 'prefix of ' + length);
+}
+console.log('ok - incomplete input waits for more data');
+
+let truncated = Buffer.from(hello);
+// Extensions length beyond the end of the hello
+truncated.writeUInt16BE(0xFFF0, 4 + 2 + 32 + 1 + 2 + 2 + 2);
+assert.strictEqual(parse([records(truncated)]).message, 'Truncated TLS ClientHello');
+let name = Buffer.from(hello);
+// Host name length beyond the end of the extension
+name.writeUInt16BE(0x00FF, name.indexOf('Example.com') - 2);
+assert.strictEqual(parse([records(name)]).message, 'Truncated TLS server_name');
+let short = Buffer.concat([Buffer.from([0x01]), u24(10), Buffer.alloc(10)]);
+assert.strictEqual(parse([records(short)]).message, 'Truncated TLS ClientHello');
+console.log('ok - truncated ClientHello');
+
+let large = clientHello('example.com', 65500);
+assert.strictEqual(parse([records(large)]).message, 'TLS ClientHello too large');
+assert.strictEqual(parse(split(records(large), 1000)).message, 'TLS ClientHello too large');
+assert.deepStrictEqual(parse([records(clientHello('example.com', 60000))]), { serverName: 'example.com', version: 0x0303 });
+console.log('ok - oversized ClientHello');
+
+assert.strictEqual(parse([Buffer.from('GET / HTTP/1.1\r\n\r\n')]).message, 'Unexpected TLS record type 71');
+let finished = Buffer.from(hello);
+finished[0] = 0x14;
+assert.strictEqual(parse([records(finished)]).message, 'Expected TLS ClientHello');
+console.log('ok - not a ClientHello');
+
+assert.ok(TlsHelloParser.isClientHello(data));
+assert.ok(!TlsHelloParser.isClientHello(Buffer.from('GET')));
+assert.deepStrictEqual(TlsHelloParser.alert(TlsHelloParser.ALERT_UNRECOGNIZED_NAME), Buffer.from([0x15, 0x03, 0x01, 0x00, 0x02, 0x02, 112]));
+console.log('ok - isClientHello() and alert()');